@@ -0,0 +1,70 @@
+/**
+ * ActivityHandle - Controls a long-running activity created by AgentLogger.start()
+ * Every call mutates the same stored activity instead of logging a new one.
+ */
+export class ActivityHandle {
+  /**
+   * @param {Object} logger - AgentLogger class
+   * @param {Object} activity - The stored 'processing' activity
+   */
+  constructor(logger, activity) {
+    this.logger = logger;
+    this.id = activity.id;
+    this.activity = activity;
+    this.startedAt = new Date(activity.timestamp).getTime();
+    this.finished = false;
+  }
+
+  /**
+   * Update the activity while it is still running
+   * @param {Object} changes - { action, status, metadata } (metadata is merged)
+   * @returns {Object|boolean} The updated activity, or false on failure
+   */
+  update(changes = {}) {
+    const updated = this.logger.updateActivity(this.id, changes);
+    if (updated) this.activity = updated;
+    return updated;
+  }
+
+  /**
+   * Mark the activity as successful and stamp its duration
+   * @param {Object} changes - Final { action, metadata } changes (optional)
+   * @returns {Object|boolean} The updated activity, or false on failure
+   */
+  succeed(changes = {}) {
+    return this.finish('success', changes);
+  }
+
+  /**
+   * Mark the activity as failed, stamp its duration and record the error
+   * @param {Error|string} error - Failure reason
+   * @param {Object} changes - Final { action, metadata } changes (optional)
+   * @returns {Object|boolean} The updated activity, or false on failure
+   */
+  fail(error, changes = {}) {
+    const errorMessage = error instanceof Error ? error.message : String(error ?? 'Unknown error');
+    return this.finish('error', {
+      ...changes,
+      metadata: { ...changes.metadata, errorMessage }
+    });
+  }
+
+  /**
+   * Apply a terminal status
+   */
+  finish(status, changes) {
+    if (this.finished) {
+      console.warn('CodeDAO SDK: Activity already finished:', this.id);
+      return false;
+    }
+
+    const updated = this.update({
+      ...changes,
+      status,
+      metadata: { ...changes.metadata, duration: Date.now() - this.startedAt }
+    });
+
+    if (updated) this.finished = true;
+    return updated;
+  }
+}
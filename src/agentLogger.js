@@ -1,15 +1,371 @@
 import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
 import { schema } from './schema.js';
+import { createDefaultStorage } from './storage.js';
+import { TabSync } from './sync.js';
+import { buildTraceTree } from './trace.js';
+import { ActivityHandle } from './activityHandle.js';
+import { buildCollaborationGraph } from './collaboration.js';
+import { runQuery, matchesQuery } from './query.js';
+import { computeAnalytics } from './analytics.js';
+import { exporters } from './exporters.js';
+import { defaultRetentionPolicy, applyRetention, rollupActivities, isQuotaError } from './retention.js';
+import { linkChain, verifyChain, orderChain, isSealed, hashActivity } from './integrity.js';
+import { registerAgent, getAgentConfig, addActivityType, addActivityStatus } from './registry.js';
+
+/**
+ * Subscriber change types by SDK event name
+ */
+const CHANGE_TYPES = {
+  'codedao:activity': 'added',
+  'codedao:updated': 'updated',
+  'codedao:cleared': 'cleared',
+  'codedao:imported': 'imported',
+  'codedao:compacted': 'compacted'
+};
+
+/**
+ * When an activity last changed, for picking the newer of two copies
+ * @param {Object} activity - Activity object
+ * @returns {Date} updatedAt, or the creation timestamp if never updated
+ */
+const revisionTime = activity => new Date(activity.updatedAt || activity.timestamp);
 
 /**
  * AgentLogger - Core logging functionality for AI agent activities
  */
 export class AgentLogger {
   static STORAGE_KEY = 'codedao_ai_activities';
+  static STORE_NAME = 'activities';
+  static ROLLUP_STORE = 'rollups';
   static MAX_ACTIVITIES = 1000; // Prevent localStorage overflow
+  static retention = { ...defaultRetentionPolicy };
   
-  static ajv = new Ajv();
+  // ajv-formats provides the date-time and uri formats used by the schema
+  static ajv = addFormats(new Ajv({ allowUnionTypes: true }));
   static validate = AgentLogger.ajv.compile(schema);
+  static storage = createDefaultStorage();
+  static sync = null;
+  static subscribers = new Set();
+
+  /**
+   * Switch the storage backend used for all activities
+   * @param {Object} adapter - Storage adapter (see storage.js)
+   * @returns {Promise} Resolves once the adapter has loaded its data
+   */
+  static useStorage(adapter) {
+    this.storage = adapter;
+    return adapter.ready || Promise.resolve();
+  }
+
+  /**
+   * Read the raw activity array from the storage backend
+   * Unlike getActivities(), read failures (e.g., a corrupt file) are thrown
+   * so that writers never mistake an unreadable store for an empty one.
+   * @returns {Array} Stored activities, newest first
+   */
+  static readActivities() {
+    return this.storage.read(this.STORE_NAME);
+  }
+
+  /**
+   * Run a read-modify-write of the store exclusively, for adapters shared
+   * with other writers (see FileAdapter.transaction)
+   * @param {Function} callback - Reads and saves the activities
+   * @returns {*} The callback's return value
+   */
+  static transaction(callback) {
+    return this.storage.transaction ? this.storage.transaction(callback) : callback();
+  }
+
+  /**
+   * Persist the raw activity array to the storage backend
+   * @param {Array} activities - Activities, newest first
+   */
+  static writeActivities(activities) {
+    this.storage.write(this.STORE_NAME, activities);
+  }
+
+  /**
+   * Apply the retention policy, link the hash chain and persist the
+   * activities that remain. Evicted activities are folded into daily rollups,
+   * written before the activities so a failed write never loses them; if the
+   * storage quota is exceeded, the oldest half is rolled up and both writes
+   * retried.
+   * @param {Array} activities - Activities, newest first
+   * @param {Array} retired - Hashes of activities replaced by this change
+   *   (see linkChain)
+   * @returns {Array} The activities actually stored
+   */
+  static saveActivities(activities, retired = []) {
+    const policy = {
+      ...this.retention,
+      maxActivities: this.retention.maxActivities ?? this.MAX_ACTIVITIES
+    };
+    let { kept, evicted } = applyRetention(activities, policy);
+    linkChain(kept, [...retired, ...evicted.map(activity => activity.hash)]);
+
+    let rollups = null;
+    for (;;) {
+      try {
+        if (evicted.length) {
+          rollups = rollups || this.storage.read(this.ROLLUP_STORE);
+          this.storage.write(this.ROLLUP_STORE, rollupActivities(rollups, evicted));
+        }
+        this.writeActivities(kept);
+        break;
+      } catch (error) {
+        if (!isQuotaError(error) || !kept.length) {
+          // The stored activities weren't replaced, so neither are their rollups
+          if (rollups) this.storage.write(this.ROLLUP_STORE, rollups);
+          throw error;
+        }
+
+        const keep = Math.floor(kept.length / 2);
+        console.warn(`CodeDAO SDK: Storage quota exceeded, compacting ${kept.length - keep} activities`);
+        evicted = [...kept.slice(keep), ...evicted];
+        kept = kept.slice(0, keep);
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * Wait until an asynchronous backend (e.g., IndexedDB) has committed its
+   * queued writes. If one ran out of space, the oldest half of the
+   * activities is rolled up and written again, as saveActivities() does.
+   * @returns {Promise<boolean>} Whether the store was committed
+   */
+  static async flush() {
+    if (!this.storage.flush) return true;
+
+    for (;;) {
+      try {
+        await this.storage.flush();
+        return true;
+      } catch (error) {
+        const activities = this.getActivities();
+        if (!isQuotaError(error) || !activities.length) {
+          console.error('CodeDAO SDK: Failed to persist activities:', error);
+          return false;
+        }
+
+        const keep = Math.floor(activities.length / 2);
+        console.warn(`CodeDAO SDK: Storage quota exceeded, compacting ${activities.length - keep} activities`);
+        this.transaction(() => {
+          const rollups = this.storage.read(this.ROLLUP_STORE);
+          this.storage.write(this.ROLLUP_STORE, rollupActivities(rollups, activities.slice(keep)));
+          this.writeActivities(activities.slice(0, keep));
+        });
+        this.emit('codedao:compacted', { stored: keep, evicted: activities.length - keep });
+      }
+    }
+  }
+
+  /**
+   * Change the retention policy and compact the store to match it
+   * @param {Object} policy - { maxActivities, maxAge, maxAgeByStatus, maxAgeByType, maxPerAgent }
+   *   (ages in milliseconds; status and type ages extend maxAge, e.g. to keep errors longer)
+   * @returns {Object} Compaction result: { stored, evicted }
+   */
+  static setRetentionPolicy(policy = {}) {
+    this.retention = { ...this.retention, ...policy };
+    return this.compact();
+  }
+
+  /**
+   * Evict activities outside the retention policy into daily rollups
+   * @returns {Object} { stored, evicted }
+   */
+  static compact() {
+    try {
+      const result = this.transaction(() => {
+        const activities = this.readActivities();
+        const kept = this.saveActivities(activities);
+        return { stored: kept.length, evicted: activities.length - kept.length };
+      });
+
+      if (result.evicted) this.emit('codedao:compacted', result);
+
+      return result;
+    } catch (error) {
+      console.error('CodeDAO SDK: Failed to compact activities:', error);
+      return { stored: 0, evicted: 0 };
+    }
+  }
+
+  /**
+   * Get the daily aggregates of evicted activities
+   * @returns {Array} [{ date, total, byAgent, byType, byStatus, byTag }], newest day first
+   */
+  static getRollups() {
+    try {
+      return this.storage.read(this.ROLLUP_STORE);
+    } catch (error) {
+      console.error('CodeDAO SDK: Failed to retrieve rollups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Notify subscribers, dispatch an SDK event when running in a browser and
+   * relay it to other tabs
+   * @param {string} name - Event name (e.g., 'codedao:activity')
+   * @param {*} detail - Event payload
+   */
+  static emit(name, detail) {
+    this.notify(name, detail);
+
+    if (typeof window === 'undefined' || typeof CustomEvent === 'undefined') return;
+    window.dispatchEvent(new CustomEvent(name, { detail }));
+
+    if (this.sync) {
+      this.sync.publish(name, detail);
+    }
+  }
+
+  /**
+   * Start relaying events between tabs, windows and same-origin iframes
+   * (enabled automatically in browsers)
+   * @param {Object} options - TabSync options (e.g., { channelName })
+   * @returns {TabSync|null} The running sync, or null outside browsers
+   */
+  static enableSync(options = {}) {
+    if (typeof window === 'undefined') return null;
+
+    this.disableSync();
+    this.sync = new TabSync({
+      storageKey: this.STORAGE_KEY,
+      beforePublish: () => this.flush(),
+      beforeDispatch: () => this.storage.reload && this.storage.reload(),
+      onReceive: (name, detail) => this.notify(name, detail),
+      ...options
+    }).start();
+
+    return this.sync;
+  }
+
+  /**
+   * Subscribe to store changes; works in browsers, Node and workers
+   *
+   * The callback receives { type, activity, report, stats } where type is
+   * 'added', 'updated', 'cleared', 'imported' or 'compacted'. Added and
+   * updated activities are only delivered when they match the filter;
+   * `stats` is a getStatistics(filter) snapshot computed on first access.
+   *
+   * @param {Object} filter - query() criteria (optional)
+   * @param {Function} callback - Called with each change
+   * @returns {Function} Unsubscribe function
+   */
+  static subscribe(filter, callback) {
+    if (typeof filter === 'function') {
+      callback = filter;
+      filter = {};
+    }
+
+    const subscriber = { filter: filter || {}, callback };
+    this.subscribers.add(subscriber);
+
+    return () => {
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  /**
+   * Deliver an SDK event to subscribers
+   * @param {string} name - Event name (e.g., 'codedao:activity')
+   * @param {*} detail - Event payload
+   */
+  static notify(name, detail) {
+    const type = CHANGE_TYPES[name];
+    if (!type || !this.subscribers.size) return;
+
+    const logger = this;
+    Array.from(this.subscribers).forEach(({ filter, callback }) => {
+      const activity = type === 'added' || type === 'updated' ? detail : undefined;
+      if (activity && !matchesQuery(activity, filter)) return;
+
+      let stats = null;
+      const change = {
+        type,
+        activity,
+        report: type === 'imported' ? detail : undefined,
+        get stats() {
+          if (!stats) stats = logger.getStatistics(filter);
+          return stats;
+        }
+      };
+
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('CodeDAO SDK: Subscriber failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop relaying events between tabs
+   */
+  static disableSync() {
+    if (this.sync) {
+      this.sync.stop();
+      this.sync = null;
+    }
+  }
+
+  /**
+   * Register styling for an agent (shared with the Dashboard)
+   * @param {string} name - Agent name as used in activities
+   * @param {Object} options - { color: hex color, icon: short label, displayName }
+   * @returns {Object} Resolved agent configuration
+   */
+  static registerAgent(name, options = {}) {
+    return registerAgent(name, options);
+  }
+
+  /**
+   * Register a custom activity type accepted by the validator
+   * @param {string} name - Type name (e.g., 'planning')
+   * @param {Object} options - { icon: bundled icon name (see icons.js) or Font Awesome class, color, label }
+   * @returns {Object} Type configuration
+   */
+  static registerType(name, options = {}) {
+    const config = addActivityType(name, options);
+    this.compileValidator();
+    return config;
+  }
+
+  /**
+   * Register a custom status accepted by the validator
+   * @param {string} name - Status name (e.g., 'cancelled')
+   * @param {Object} options - { icon: bundled icon name (see icons.js) or Font Awesome class, color, bg, label }
+   * @returns {Object} Status configuration
+   */
+  static registerStatus(name, options = {}) {
+    const config = addActivityStatus(name, options);
+    this.compileValidator();
+    return config;
+  }
+
+  /**
+   * Recompile the schema validator after the schema has been extended
+   */
+  static compileValidator() {
+    // Ajv caches compiled validators by schema object
+    this.ajv.removeSchema(schema);
+    this.validate = this.ajv.compile(schema);
+  }
+
+  /**
+   * Resolve styling for an agent, generating one for unknown agents
+   * @param {string} name - Agent name
+   * @returns {Object} Agent configuration
+   */
+  static getAgentConfig(name) {
+    return getAgentConfig(name);
+  }
 
   /**
    * Log an AI agent activity
@@ -18,8 +374,24 @@ export class AgentLogger {
    * @param {string} type - Type of action (commit, analysis, detection, etc.)
    * @param {string} status - Status (success, processing, error, info)
    * @param {Object} metadata - Additional metadata (optional)
+   * @param {Object} context - Trace context: { traceId, parentId } (optional)
+   * @returns {Object|boolean} The stored activity, or false on failure
    */
-  static log(agent, action, type = 'info', status = 'success', metadata = {}) {
+  static log(agent, action, type = 'info', status = 'success', metadata = {}, context = {}) {
+    return this.record(this.createActivity(agent, action, type, status, metadata, context));
+  }
+
+  /**
+   * Build an activity object without storing it
+   * @param {string} agent - Agent name
+   * @param {string} action - Description of the action taken
+   * @param {string} type - Type of action
+   * @param {string} status - Status
+   * @param {Object} metadata - Additional metadata (optional)
+   * @param {Object} context - Trace context: { traceId, parentId } (optional)
+   * @returns {Object} Activity object
+   */
+  static createActivity(agent, action, type = 'info', status = 'success', metadata = {}, context = {}) {
     const activity = {
       id: Date.now() + Math.random(), // Ensure uniqueness
       timestamp: new Date().toISOString(),
@@ -30,35 +402,121 @@ export class AgentLogger {
       metadata
     };
 
+    if (context.traceId) activity.traceId = context.traceId;
+    if (context.parentId != null) activity.parentId = context.parentId;
+
+    return activity;
+  }
+
+  /**
+   * Store a complete activity object (e.g., one received from a collector)
+   * @param {Object} activity - Activity conforming to the schema
+   * @returns {Object|boolean} The stored activity, or false on failure
+   */
+  static record(activity) {
     // Validate against schema
     if (!this.validate(activity)) {
       console.warn('CodeDAO SDK: Invalid activity format:', this.validate.errors);
       return false;
     }
 
+    // Chain fields from another store (e.g., a collector) are replaced
+    delete activity.hash;
+    delete activity.prevHash;
+
     try {
-      const activities = this.getActivities();
-      activities.unshift(activity); // Add to beginning
-      
-      // Keep only recent activities to prevent storage overflow
-      if (activities.length > this.MAX_ACTIVITIES) {
-        activities.splice(this.MAX_ACTIVITIES);
-      }
+      this.transaction(() => {
+        const activities = this.readActivities();
+        activities.unshift(activity); // Add to beginning
 
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(activities));
+        // Roll up activities outside the retention policy to prevent storage overflow
+        this.saveActivities(activities);
+      });
       
       // Dispatch custom event for real-time updates
-      window.dispatchEvent(new CustomEvent('codedao:activity', { 
-        detail: activity 
-      }));
+      this.emit('codedao:activity', activity);
 
-      return true;
+      return activity;
     } catch (error) {
       console.error('CodeDAO SDK: Failed to log activity:', error);
       return false;
     }
   }
 
+  /**
+   * Start a long-running activity
+   * Logs a 'processing' activity and returns a handle whose update(),
+   * succeed() and fail() mutate that same activity.
+   * @param {string} agent - Agent name
+   * @param {string} action - Description of the action being taken
+   * @param {string} type - Type of action
+   * @param {Object} metadata - Additional metadata (optional)
+   * @param {Object} context - Trace context: { traceId, parentId } (optional)
+   * @returns {ActivityHandle|boolean} Handle, or false if the activity was rejected
+   */
+  static start(agent, action, type = 'info', metadata = {}, context = {}) {
+    const activity = this.log(agent, action, type, 'processing', metadata, context);
+    return activity ? new ActivityHandle(this, activity) : false;
+  }
+
+  /**
+   * Update a stored activity in place, stamping its updatedAt
+   * @param {number|string} id - Activity ID
+   * @param {Object} changes - { action, status, metadata } (metadata is merged)
+   * @returns {Object|boolean} The updated activity, or false on failure
+   */
+  static updateActivity(id, changes = {}) {
+    try {
+      const saved = this.transaction(() => {
+        const activities = this.readActivities();
+        const index = activities.findIndex(a => a.id === id);
+
+        if (index === -1) {
+          console.warn('CodeDAO SDK: Activity not found:', id);
+          return false;
+        }
+
+        const current = activities[index];
+        const updated = {
+          ...current,
+          ...changes,
+          id: current.id,
+          timestamp: current.timestamp,
+          updatedAt: new Date().toISOString(),
+          metadata: { ...current.metadata, ...changes.metadata }
+        };
+
+        // Reseal the edit in place; an activity that had already been tampered
+        // with keeps its broken seal
+        delete updated.hash;
+        delete updated.prevHash;
+        if (current.prevHash !== undefined) updated.prevHash = current.prevHash;
+        if (isSealed(current)) {
+          updated.hash = hashActivity(updated);
+        } else if (current.hash) {
+          updated.hash = current.hash;
+        }
+
+        if (!this.validate(updated)) {
+          console.warn('CodeDAO SDK: Invalid activity format:', this.validate.errors);
+          return false;
+        }
+
+        activities[index] = updated;
+        this.saveActivities(activities, [current.hash]);
+        return updated;
+      });
+
+      if (!saved) return false;
+      this.emit('codedao:updated', saved);
+
+      return saved;
+    } catch (error) {
+      console.error('CodeDAO SDK: Failed to update activity:', error);
+      return false;
+    }
+  }
+
   /**
    * Get all logged activities
    * @param {number} limit - Maximum number of activities to return
@@ -66,8 +524,7 @@ export class AgentLogger {
    */
   static getActivities(limit = null) {
     try {
-      const stored = localStorage.getItem(this.STORAGE_KEY);
-      const activities = stored ? JSON.parse(stored) : [];
+      const activities = this.readActivities();
       
       return limit ? activities.slice(0, limit) : activities;
     } catch (error) {
@@ -99,20 +556,67 @@ export class AgentLogger {
   }
 
   /**
-   * Get activity statistics
-   * @returns {Object} Statistics object with counts by agent, type, and status
+   * Query activities with combined filters, sorting and cursor pagination
+   * @param {Object} options - Filters (agent, type, status, tags, repository,
+   *   branch, traceId, since, until, search) plus order, limit and cursor
+   * @returns {Object} { activities, total, nextCursor }
+   */
+  static query(options = {}) {
+    return runQuery(this.getActivities(), options);
+  }
+
+  /**
+   * Get the span tree of a trace
+   * @param {string} traceId - Trace identifier
+   * @returns {Array} Root spans: { activity, start, end, depth, children }
    */
-  static getStatistics() {
-    const activities = this.getActivities();
+  static getTrace(traceId) {
+    return buildTraceTree(this.getActivities().filter(a => a.traceId === traceId));
+  }
+
+  /**
+   * Get the agent handoff graph
+   * @returns {Object} { nodes: [{ agent, activities }], edges: [{ from, to, weight }] }
+   */
+  static getCollaborationGraph() {
+    return buildCollaborationGraph(this.getActivities());
+  }
+
+  /**
+   * Get activity statistics, including activities compacted into rollups
+   * @param {Object} filters - Optional query() criteria; filtered statistics
+   *   only cover stored activities, not rollups
+   * @param {Array} stored - Stored activities, when already read (optional)
+   * @returns {Object} Statistics object with counts by agent, type, status and tag
+   */
+  static getStatistics(filters = {}, stored = null) {
+    const filtered = Boolean(filters) && Object.keys(filters).length > 0;
+    const source = stored || this.getActivities();
+    const activities = filtered
+      ? runQuery(source, { ...filters, limit: null, cursor: null }).activities
+      : source;
     
     const stats = {
       total: activities.length,
+      compacted: 0,
       byAgent: {},
       byType: {},
       byStatus: {},
+      byTag: {},
       recentActivity: activities.slice(0, 10)
     };
 
+    // Include activities that were rolled up by retention
+    (filtered ? [] : this.getRollups()).forEach(rollup => {
+      stats.total += rollup.total;
+      stats.compacted += rollup.total;
+      ['byAgent', 'byType', 'byStatus', 'byTag'].forEach(key => {
+        Object.entries(rollup[key]).forEach(([name, count]) => {
+          stats[key][name] = (stats[key][name] || 0) + count;
+        });
+      });
+    });
+
     activities.forEach(activity => {
       // Count by agent
       stats.byAgent[activity.agent] = (stats.byAgent[activity.agent] || 0) + 1;
@@ -122,18 +626,60 @@ export class AgentLogger {
       
       // Count by status
       stats.byStatus[activity.status] = (stats.byStatus[activity.status] || 0) + 1;
+      
+      // Count by tag
+      (activity.metadata?.tags || []).forEach(tag => {
+        stats.byTag[tag] = (stats.byTag[tag] || 0) + 1;
+      });
     });
 
     return stats;
   }
 
+  /**
+   * Get time-bucketed analytics: activity timelines, success/error rates
+   * and duration percentiles per agent and type
+   * @param {Object} options - { bucket: 'hour'|'day', buckets, now, filters, activities }
+   *   where filters are optional query() criteria and activities the stored
+   *   activities, when already read (optional)
+   * @returns {Object} { bucket, timeline, byAgent, byType }
+   */
+  static getAnalytics(options = {}) {
+    const { filters, activities: stored, ...analyticsOptions } = options;
+    const source = stored || this.getActivities();
+    const activities = filters && Object.keys(filters).length
+      ? runQuery(source, { ...filters, limit: null, cursor: null }).activities
+      : source;
+
+    return computeAnalytics(activities, analyticsOptions);
+  }
+
+  /**
+   * Verify the hash chain of the stored activities
+   * Activities compacted into rollups are outside the chain; the oldest
+   * stored activity's prevHash is taken as given.
+   * @param {Object} trusted - Previous valid result; only activities stored
+   *   since are hashed (optional, see verifyChain). Leave it out regularly:
+   *   edits made directly in storage are only caught by a full check.
+   * @param {Array} stored - Stored activities, when already read (optional)
+   * @returns {Object} { valid, checked, trusted, brokenAt, head } where
+   *   brokenAt is null or the first broken link, oldest first:
+   *   { index, id, reason } with reason 'unsealed', 'modified' or 'unlinked'
+   */
+  static verifyIntegrity(trusted = null, stored = null) {
+    return verifyChain(stored || this.getActivities(), trusted);
+  }
+
   /**
    * Clear all logged activities
    */
   static clear() {
     try {
-      localStorage.removeItem(this.STORAGE_KEY);
-      window.dispatchEvent(new CustomEvent('codedao:cleared'));
+      this.transaction(() => {
+        this.storage.remove(this.STORE_NAME);
+        this.storage.remove(this.ROLLUP_STORE);
+      });
+      this.emit('codedao:cleared');
       return true;
     } catch (error) {
       console.error('CodeDAO SDK: Failed to clear activities:', error);
@@ -142,36 +688,157 @@ export class AgentLogger {
   }
 
   /**
-   * Export activities as JSON
-   * @returns {string} JSON string of all activities
+   * Export activities
+   * @param {string} format - 'json' (default), 'ndjson', 'csv', 'markdown' or 'html'
+   * @param {Object} filters - Same criteria as query() (agent, type, status, since, until, ...)
+   * @param {Object} options - Format options, e.g. { title } for markdown and html
+   * @returns {string|null} Exported activities, or null for an unknown format
    */
-  static exportActivities() {
-    return JSON.stringify(this.getActivities(), null, 2);
+  static exportActivities(format = 'json', filters = {}, options = {}) {
+    const exporter = exporters[format];
+    if (!exporter) {
+      console.error('CodeDAO SDK: Unknown export format:', format);
+      return null;
+    }
+
+    const { activities } = this.query({ ...filters, limit: null, cursor: null });
+    return exporter(activities, options);
   }
 
   /**
-   * Import activities from JSON
-   * @param {string} jsonData - JSON string of activities
-   * @returns {boolean} Success status
+   * Parse imported data: a JSON array, NDJSON lines or an array of objects
+   * @param {string|Array} data - Data to parse
+   * @returns {Array} Parsed records
    */
-  static importActivities(jsonData) {
+  static parseImport(data) {
+    if (Array.isArray(data)) return data;
+
     try {
-      const activities = JSON.parse(jsonData);
-      
-      // Validate each activity
-      const validActivities = activities.filter(activity => this.validate(activity));
-      
-      if (validActivities.length !== activities.length) {
-        console.warn(`CodeDAO SDK: ${activities.length - validActivities.length} invalid activities skipped`);
+      const parsed = JSON.parse(data);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      // Fall back to newline-delimited JSON (as produced by the ndjson exporter)
+      const lines = String(data).split('\n').filter(line => line.trim());
+      if (lines.length < 2) throw error;
+      return lines.map(line => JSON.parse(line));
+    }
+  }
+
+  /**
+   * Import activities
+   *
+   * Exported hash chains are kept: `report.integrity` is the verification
+   * of the imported activities, and activities that fail it stay flagged in
+   * the store.
+   *
+   * Strategies:
+   *   replace - Imported activities replace the whole store (default)
+   *   append  - Imported activities are added; stored ones win on duplicate ids
+   *   merge   - Activities are merged by id; the record updated last
+   *             (updatedAt, else timestamp) wins, imported records win ties
+   *
+   * @param {string|Array} jsonData - JSON array, NDJSON, or an array of activities
+   * @param {Object} options - { strategy: 'replace' | 'append' | 'merge' }
+   * @returns {Object} Report: { success, strategy, total, added, updated,
+   *   duplicates, rejected: [{ index, record, errors }], stored, integrity, error }
+   */
+  static importActivities(jsonData, options = {}) {
+    const { strategy = 'replace' } = options;
+    const report = {
+      success: false,
+      strategy,
+      total: 0,
+      added: 0,
+      updated: 0,
+      duplicates: 0,
+      rejected: [],
+      stored: 0,
+      integrity: null
+    };
+
+    if (!['replace', 'append', 'merge'].includes(strategy)) {
+      report.error = `Unknown import strategy: ${strategy}`;
+      console.error('CodeDAO SDK: Unknown import strategy:', strategy);
+      return report;
+    }
+
+    try {
+      const records = this.parseImport(jsonData);
+      report.total = records.length;
+
+      // Validate each activity, keeping the errors for the report
+      const incoming = new Map();
+      records.forEach((record, index) => {
+        if (!this.validate(record)) {
+          report.rejected.push({ index, record, errors: this.validate.errors });
+          return;
+        }
+
+        const previous = incoming.get(record.id);
+        if (previous) {
+          report.duplicates++;
+          if (revisionTime(record) < revisionTime(previous)) return;
+        }
+        incoming.set(record.id, record);
+      });
+
+      if (report.rejected.length) {
+        console.warn(`CodeDAO SDK: ${report.rejected.length} invalid activities skipped`);
       }
 
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(validActivities));
-      window.dispatchEvent(new CustomEvent('codedao:imported'));
-      
-      return true;
+      // Newest first in chain order, as stored (NDJSON exports are oldest first)
+      const imported = orderChain(Array.from(incoming.values())
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+      report.integrity = verifyChain(imported);
+
+      this.transaction(() => {
+        let activities;
+        if (strategy === 'replace') {
+          activities = imported;
+          report.added = activities.length;
+        } else {
+          const merged = new Map(this.readActivities().map(activity => [activity.id, activity]));
+
+          incoming.forEach((record, id) => {
+            const existing = merged.get(id);
+            if (!existing) {
+              merged.set(id, record);
+              report.added++;
+              return;
+            }
+
+            report.duplicates++;
+            const isNewer = revisionTime(record) >= revisionTime(existing);
+            if (strategy === 'merge' && isNewer) {
+              merged.set(id, record);
+              report.updated++;
+            }
+          });
+
+          activities = Array.from(merged.values())
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
+
+        // Rollups describe the store being replaced
+        if (strategy === 'replace') this.storage.remove(this.ROLLUP_STORE);
+
+        // A verified import may attach to history outside the file
+        const anchor = report.integrity.valid && imported.length
+          ? [imported[imported.length - 1].prevHash]
+          : [];
+        report.stored = this.saveActivities(activities, anchor).length;
+      });
+      report.success = true;
+      this.emit('codedao:imported', report);
+
+      return report;
     } catch (error) {
       console.error('CodeDAO SDK: Failed to import activities:', error);
-      return false;
+      report.error = error.message;
+      return report;
     }
   }
 }
+
+// Keep every open tab in step without waiting for the auto-refresh timer
+AgentLogger.enableSync();
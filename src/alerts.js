@@ -0,0 +1,354 @@
+import { AgentLogger } from './agentLogger.js';
+import { matchesQuery } from './query.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Format a duration in milliseconds as seconds, minutes or hours
+ */
+function formatDuration(ms) {
+  if (ms < MINUTE) return `${Math.round(ms / 1000)} seconds`;
+
+  const minutes = Math.round(ms / MINUTE);
+  if (minutes < 120) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return `${Math.round(minutes / 60)} hours`;
+}
+
+const time = activity => new Date(activity.timestamp).getTime();
+
+/**
+ * Condition checks for the built-in rule types
+ * Each returns null when the rule is not firing, otherwise
+ * { message, activities } describing why it fired.
+ */
+export const ruleTypes = {
+  /**
+   * { agent, threshold: 0.2, window: 10 minutes, minActivities: 5 }
+   */
+  errorRate(rule, activities, now) {
+    const { agent = null, threshold = 0.2, window = 10 * MINUTE, minActivities = 5 } = rule;
+    const recent = activities.filter(activity =>
+      (!agent || activity.agent === agent) &&
+      activity.status !== 'processing' &&
+      time(activity) >= now - window
+    );
+    if (recent.length < minActivities) return null;
+
+    const errors = recent.filter(activity => activity.status === 'error');
+    const rate = errors.length / recent.length;
+    if (rate <= threshold) return null;
+
+    return {
+      message: `${agent || 'All agents'}: error rate ${Math.round(rate * 100)}% over the last ${formatDuration(window)}`,
+      activities: errors
+    };
+  },
+
+  /**
+   * { agent, maxDuration: 15 minutes }
+   */
+  stuckProcessing(rule, activities, now) {
+    const { agent = null, maxDuration = 15 * MINUTE } = rule;
+    const stuck = activities.filter(activity =>
+      (!agent || activity.agent === agent) &&
+      activity.status === 'processing' &&
+      now - time(activity) > maxDuration
+    );
+    if (!stuck.length) return null;
+
+    return {
+      message: `${stuck.length} ${stuck.length === 1 ? 'activity has' : 'activities have'} been processing for over ${formatDuration(maxDuration)}`,
+      activities: stuck
+    };
+  },
+
+  /**
+   * { agent, maxSilence: 1 hour } - agents never seen count from when the engine started
+   */
+  silentAgent(rule, activities, now, context) {
+    const { agent, maxSilence = 60 * MINUTE } = rule;
+    const latest = activities.find(activity => activity.agent === agent);
+    const lastSeen = latest ? time(latest) : context.startedAt;
+    if (now - lastSeen <= maxSilence) return null;
+
+    return {
+      message: `${agent} has been silent for ${formatDuration(now - lastSeen)}`,
+      activities: latest ? [latest] : []
+    };
+  }
+};
+
+/**
+ * AlertEngine - Evaluates declarative alert rules over the AgentLogger stream
+ *
+ * Rule types:
+ *   errorRate       - { agent, threshold, window, minActivities }
+ *   stuckProcessing - { agent, maxDuration }
+ *   silentAgent     - { agent, maxSilence }
+ *   match           - { criteria, expireAfter, maxActive } fires once per new
+ *                     activity matching query() criteria, e.g.
+ *                     { type: 'security', status: 'error' }; its alerts resolve
+ *                     after expireAfter (1 hour), keeping at most the latest
+ *                     maxActive (10)
+ *
+ * Every rule also accepts { id, severity: 'warning'|'critical', message, onFire }
+ * where message is a string or a function of the alert.
+ */
+export class AlertEngine {
+  constructor(options = {}) {
+    this.options = {
+      rules: [],
+      interval: MINUTE, // How often time-based rules are re-checked
+      notifications: false, // Show browser notifications when permission is granted
+      ...options
+    };
+
+    this.rules = [];
+    this.active = new Map();
+    this.snoozed = new Set();
+    this.listeners = new Set();
+    this.timer = null;
+    this.pending = null;
+    this.unsubscribe = null;
+    this.startedAt = Date.now();
+
+    this.options.rules.forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Add a rule
+   * @param {Object} rule - Rule definition (see class docs)
+   * @returns {Object} The rule, with an id assigned if it had none
+   */
+  addRule(rule) {
+    if (rule.type !== 'match' && !ruleTypes[rule.type]) {
+      console.warn('CodeDAO SDK: Unknown alert rule type:', rule.type);
+      return null;
+    }
+
+    const stored = { severity: 'warning', ...rule, id: rule.id || `${rule.type}-${this.rules.length + 1}` };
+    this.rules.push(stored);
+    return stored;
+  }
+
+  /**
+   * Remove a rule and resolve its alerts
+   * @param {string} id - Rule ID
+   */
+  removeRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    Array.from(this.active.values())
+      .filter(alert => alert.ruleId === id)
+      .forEach(alert => this.resolve(alert.id));
+  }
+
+  /**
+   * Start watching AgentLogger
+   * @returns {AlertEngine} this
+   */
+  start() {
+    if (this.unsubscribe) return this;
+
+    this.startedAt = Date.now();
+    this.unsubscribe = AgentLogger.subscribe(change => this.handleChange(change));
+    this.timer = setInterval(() => this.evaluate(), this.options.interval);
+
+    // Don't keep Node processes alive just for alert checks
+    if (this.timer.unref) this.timer.unref();
+
+    this.evaluate();
+    return this;
+  }
+
+  /**
+   * Stop watching AgentLogger; active alerts are kept
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    clearInterval(this.timer);
+    clearTimeout(this.pending);
+    this.timer = null;
+    this.pending = null;
+  }
+
+  /**
+   * Listen for alert changes
+   * @param {Function} callback - Called with { type: 'fired'|'resolved', alert }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => {
+      this.listeners.delete(callback);
+    };
+  }
+
+  /**
+   * Get the alerts currently firing, newest first
+   * @returns {Array} Alerts: { id, ruleId, severity, message, firedAt, activities }
+   */
+  getActiveAlerts() {
+    return Array.from(this.active.values()).sort((a, b) => b.firedAt - a.firedAt);
+  }
+
+  /**
+   * Dismiss an alert; condition-based alerts stay quiet until they clear and fire again
+   * @param {string} id - Alert ID
+   */
+  dismiss(id) {
+    const alert = this.active.get(id);
+    if (!alert) return;
+
+    if (alert.ruleId === alert.id) this.snoozed.add(id);
+    this.resolve(id);
+  }
+
+  handleChange(change) {
+    if ((change.type === 'added' || change.type === 'updated') && change.activity) {
+      this.rules
+        .filter(rule => rule.type === 'match' && matchesQuery(change.activity, rule.criteria || {}))
+        .forEach(rule => {
+          this.fire(rule, `${rule.id}:${change.activity.id}`, {
+            message: `${change.activity.agent}: ${change.activity.action}`,
+            activities: [change.activity]
+          });
+          this.expireMatches(rule);
+        });
+    }
+
+    // Coalesce bursts of activity into one evaluation
+    if (!this.pending) {
+      this.pending = setTimeout(() => {
+        this.pending = null;
+        this.evaluate();
+      }, 100);
+    }
+  }
+
+  /**
+   * Check every condition-based rule now
+   * @param {number} now - Evaluation time in milliseconds (defaults to Date.now())
+   */
+  evaluate(now = Date.now()) {
+    const activities = AgentLogger.getActivities();
+    const context = { startedAt: this.startedAt };
+
+    this.rules
+      .filter(rule => rule.type === 'match')
+      .forEach(rule => this.expireMatches(rule, now));
+
+    this.rules
+      .filter(rule => rule.type !== 'match')
+      .forEach(rule => {
+        const result = ruleTypes[rule.type](rule, activities, now, context);
+
+        if (!result) {
+          this.snoozed.delete(rule.id);
+          if (this.active.has(rule.id)) this.resolve(rule.id);
+        } else if (this.active.has(rule.id)) {
+          // Still firing: keep the message current without notifying again
+          Object.assign(this.active.get(rule.id), this.describe(rule, result));
+        } else if (!this.snoozed.has(rule.id)) {
+          this.fire(rule, rule.id, result);
+        }
+      });
+  }
+
+  /**
+   * Resolve a match rule's alerts that are too old or beyond its maxActive
+   * @param {Object} rule - Match rule
+   * @param {number} now - Current time in milliseconds
+   */
+  expireMatches(rule, now = Date.now()) {
+    const { expireAfter = 60 * MINUTE, maxActive = 10 } = rule;
+
+    // Newest first, in the order they fired
+    Array.from(this.active.values())
+      .filter(alert => alert.ruleId === rule.id)
+      .reverse()
+      .filter((alert, index) => index >= maxActive || now - alert.firedAt >= expireAfter)
+      .forEach(alert => this.resolve(alert.id));
+  }
+
+  describe(rule, result) {
+    const alert = { message: result.message, activities: result.activities };
+    if (typeof rule.message === 'function') {
+      alert.message = rule.message({ ...alert, rule });
+    } else if (rule.message) {
+      alert.message = rule.message;
+    }
+    return alert;
+  }
+
+  fire(rule, id, result) {
+    if (this.active.has(id)) return;
+
+    const alert = {
+      id,
+      ruleId: rule.id,
+      type: rule.type,
+      severity: rule.severity,
+      firedAt: Date.now(),
+      ...this.describe(rule, result)
+    };
+
+    this.active.set(id, alert);
+
+    if (rule.onFire) {
+      try {
+        rule.onFire(alert);
+      } catch (error) {
+        console.error('CodeDAO SDK: Alert callback failed:', error);
+      }
+    }
+
+    this.notify('fired', alert);
+    if (this.options.notifications) this.showNotification(alert);
+  }
+
+  resolve(id) {
+    const alert = this.active.get(id);
+    if (!alert) return;
+
+    this.active.delete(id);
+    this.notify('resolved', alert);
+  }
+
+  notify(type, alert) {
+    this.listeners.forEach(callback => {
+      try {
+        callback({ type, alert });
+      } catch (error) {
+        console.error('CodeDAO SDK: Alert listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Show a browser notification if the user has granted permission
+   */
+  showNotification(alert) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    try {
+      new Notification(`CodeDAO ${alert.severity === 'critical' ? 'critical alert' : 'alert'}`, {
+        body: alert.message,
+        tag: alert.id
+      });
+    } catch (error) {
+      console.warn('CodeDAO SDK: Failed to show notification:', error);
+    }
+  }
+
+  /**
+   * Ask for browser notification permission (call from a user gesture)
+   * @returns {Promise<string>} Permission state
+   */
+  static requestNotificationPermission() {
+    if (typeof Notification === 'undefined') return Promise.resolve('unsupported');
+    return Notification.requestPermission();
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Activity analytics
+ * Time buckets, success/error rates and duration percentiles.
+ */
+
+const BUCKET_SIZES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {Array<number>} values - Sample values
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile value, or null for an empty sample
+ */
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Summarize a list of durations
+ * @param {Array<number>} values - Durations in milliseconds
+ * @returns {Object} { count, mean, p50, p95 }
+ */
+export function summarizeDurations(values) {
+  return {
+    count: values.length,
+    mean: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+    p50: percentile(values, 50),
+    p95: percentile(values, 95)
+  };
+}
+
+/**
+ * Start of the bucket containing a time, in local time
+ * @param {number} time - Milliseconds since epoch
+ * @param {string} bucket - 'hour' or 'day'
+ * @returns {number} Bucket start in milliseconds
+ */
+function bucketStart(time, bucket) {
+  const date = new Date(time);
+  date.setMinutes(0, 0, 0);
+  if (bucket === 'day') date.setHours(0);
+  return date.getTime();
+}
+
+/**
+ * Compute time-bucketed analytics for a set of activities
+ *
+ * @param {Array} activities - Activity objects
+ * @param {Object} options
+ * @param {string} options.bucket - 'hour' (default) or 'day'
+ * @param {number} options.buckets - Number of buckets ending at `now` (default 24)
+ * @param {Date|number} options.now - End of the timeline (default current time)
+ * @returns {Object} { bucket, timeline, byAgent, byType }
+ */
+export function computeAnalytics(activities, options = {}) {
+  const { bucket = 'hour', buckets = 24, now = Date.now() } = options;
+  const size = BUCKET_SIZES[bucket] || BUCKET_SIZES.hour;
+  const lastStart = bucketStart(new Date(now).getTime(), bucket);
+
+  // Bucket starts are computed by stepping back through local time so that
+  // daily buckets stay aligned to midnight across DST changes
+  const starts = [lastStart];
+  for (let i = 1; i < buckets; i++) {
+    starts.unshift(bucketStart(starts[0] - size / 2, bucket));
+  }
+  const firstStart = starts[0];
+
+  const newTimeline = () => starts.map(start => ({ start: new Date(start).toISOString(), count: 0, errors: 0 }));
+  const bucketIndex = (time) => {
+    if (time < firstStart) return -1;
+    const start = bucketStart(time, bucket);
+    return starts.indexOf(start);
+  };
+
+  const timeline = newTimeline();
+  const agents = {};
+  const types = {};
+
+  activities.forEach(activity => {
+    const time = new Date(activity.timestamp).getTime();
+    const duration = activity.metadata?.duration;
+    const isError = activity.status === 'error';
+
+    const agent = agents[activity.agent] || (agents[activity.agent] = {
+      total: 0, success: 0, error: 0, durations: [], timeline: newTimeline()
+    });
+    const type = types[activity.type] || (types[activity.type] = { total: 0, durations: [] });
+
+    agent.total++;
+    type.total++;
+    if (activity.status === 'success') agent.success++;
+    if (isError) agent.error++;
+
+    if (typeof duration === 'number') {
+      agent.durations.push(duration);
+      type.durations.push(duration);
+    }
+
+    const index = bucketIndex(time);
+    if (index !== -1) {
+      timeline[index].count++;
+      agent.timeline[index].count++;
+      if (isError) {
+        timeline[index].errors++;
+        agent.timeline[index].errors++;
+      }
+    }
+  });
+
+  const byAgent = {};
+  Object.entries(agents).forEach(([name, agent]) => {
+    byAgent[name] = {
+      total: agent.total,
+      success: agent.success,
+      error: agent.error,
+      successRate: agent.success / agent.total,
+      errorRate: agent.error / agent.total,
+      duration: summarizeDurations(agent.durations),
+      timeline: agent.timeline
+    };
+  });
+
+  const byType = {};
+  Object.entries(types).forEach(([name, type]) => {
+    byType[name] = {
+      total: type.total,
+      duration: summarizeDurations(type.durations)
+    };
+  });
+
+  return { bucket, timeline, byAgent, byType };
+}
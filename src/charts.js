@@ -0,0 +1,72 @@
+import { escapeHTML } from './html.js';
+
+/**
+ * Inline SVG charts
+ * Dependency-free chart markup for the Dashboard stats section.
+ * Labels and colors are escaped, so the markup is safe to insert as-is.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Render a sparkline
+ * @param {Array<number>} values - Data points, oldest first
+ * @param {Object} options - { width, height, color, fill }
+ * @returns {string} SVG markup
+ */
+export function sparkline(values, options = {}) {
+  const { width = 120, height = 28, fill = true } = options;
+  const color = escapeHTML(options.color || '#3B82F6');
+  if (!values.length) return '';
+
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values.map((value, index) => [
+    round(index * step),
+    round(height - 2 - (value / max) * (height - 4))
+  ]);
+  const line = points.map(([x, y]) => `${x},${y}`).join(' ');
+  const area = `0,${height} ${line} ${round((values.length - 1) * step)},${height}`;
+
+  return `
+    <svg class="codedao-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+      ${fill ? `<polygon points="${area}" fill="${color}" fill-opacity="0.15"></polygon>` : ''}
+      <polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"></polyline>
+    </svg>
+  `;
+}
+
+/**
+ * Render a horizontal bar chart
+ * @param {Array<Object>} entries - [{ label, value, color, display }]
+ * @param {Object} options - { width, barHeight, gap, labelWidth }
+ * @returns {string} SVG markup
+ */
+export function barChart(entries, options = {}) {
+  const { width = 280, barHeight = 14, gap = 6, labelWidth = 90 } = options;
+  if (!entries.length) return '';
+
+  const max = Math.max(...entries.map(entry => entry.value), 1);
+  const trackWidth = width - labelWidth - 50;
+  const height = entries.length * (barHeight + gap) - gap;
+
+  const bars = entries.map((entry, index) => {
+    const y = index * (barHeight + gap);
+    const barWidth = round((entry.value / max) * trackWidth);
+
+    return `
+      <g>
+        <text x="0" y="${y + barHeight - 3}" class="codedao-chart-label">${escapeHTML(entry.label)}</text>
+        <rect x="${labelWidth}" y="${y}" width="${trackWidth}" height="${barHeight}" rx="2" class="codedao-chart-track" fill="#f3f4f6"></rect>
+        <rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="2" fill="${escapeHTML(entry.color || '#3B82F6')}"></rect>
+        <text x="${labelWidth + trackWidth + 6}" y="${y + barHeight - 3}" class="codedao-chart-value">${escapeHTML(entry.display ?? entry.value)}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="codedao-bar-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      ${bars}
+    </svg>
+  `;
+}
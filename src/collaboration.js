@@ -0,0 +1,60 @@
+/**
+ * Collaboration graph utilities
+ * Derives which agents hand work to which from activity links.
+ */
+
+/**
+ * Build a directed agent handoff graph
+ *
+ * A handoff from agent A to agent B is counted when:
+ *   - an activity by B lists an activity by A in `metadata.relatedActivities`
+ *   - an activity by B has an activity by A as its trace `parentId`
+ *   - a `collaboration` activity by A names B in `metadata.targetAgent`
+ *
+ * @param {Array} activities - Activity objects
+ * @returns {Object} { nodes: [{ agent, activities }], edges: [{ from, to, weight }] }
+ */
+export function buildCollaborationGraph(activities) {
+  const byId = new Map(activities.map(activity => [activity.id, activity]));
+  const nodes = new Map();
+  const edges = new Map();
+  const counted = new Set();
+
+  const addHandoff = (from, to, key) => {
+    if (!from || !to || from === to || counted.has(key)) return;
+    counted.add(key);
+
+    const edgeKey = `${from}\u0000${to}`;
+    const edge = edges.get(edgeKey) || { from, to, weight: 0 };
+    edge.weight++;
+    edges.set(edgeKey, edge);
+  };
+
+  activities.forEach(activity => {
+    nodes.set(activity.agent, (nodes.get(activity.agent) || 0) + 1);
+
+    const sources = [...(activity.metadata?.relatedActivities || [])];
+    if (activity.parentId != null) sources.push(activity.parentId);
+
+    sources.forEach(sourceId => {
+      const source = byId.get(sourceId);
+      if (source) {
+        addHandoff(source.agent, activity.agent, `${sourceId}\u0000${activity.id}`);
+      }
+    });
+
+    if (activity.type === 'collaboration' && activity.metadata?.targetAgent) {
+      addHandoff(activity.agent, activity.metadata.targetAgent, `${activity.id}\u0000target`);
+    }
+  });
+
+  // Agents that only receive handoffs still need a node
+  edges.forEach(edge => {
+    if (!nodes.has(edge.to)) nodes.set(edge.to, 0);
+  });
+
+  return {
+    nodes: Array.from(nodes, ([agent, count]) => ({ agent, activities: count })),
+    edges: Array.from(edges.values()).sort((a, b) => b.weight - a.weight)
+  };
+}
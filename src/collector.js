@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import http from 'http';
+import { AgentLogger } from './agentLogger.js';
+import { FileAdapter } from './fileStorage.js';
+import { GitHubWebhookAdapter } from './webhook.js';
+
+/**
+ * When an activity last changed
+ */
+const revisionTime = activity => new Date(activity.updatedAt || activity.timestamp);
+
+/**
+ * Collector - Local Node.js server that ingests activities over HTTP and
+ * streams them to connected dashboards with Server-Sent Events.
+ *
+ * Routes:
+ *   POST   /activities      - Ingest one activity or an array of activities
+ *   GET    /activities      - List stored activities (?limit=N)
+ *   DELETE /activities      - Clear all stored activities
+ *   GET    /events          - Server-Sent Events stream of new activities
+ *   POST   /webhooks/github - GitHub webhook deliveries (when `webhook` is set)
+ *
+ * Browsers may only call the collector from the origins in `allowOrigin`.
+ * When `token` is set, POST and DELETE /activities need an
+ * `Authorization: Bearer <token>` header.
+ */
+export class Collector {
+  constructor(options = {}) {
+    this.options = {
+      port: 4318,
+      host: '127.0.0.1',
+      storage: null,
+      directory: '.codedao',
+      allowOrigin: null, // Origin or array of origins allowed to call from a browser ('*' for any)
+      token: null, // Bearer token required to add or clear activities
+      maxBodySize: 1024 * 1024, // 1MB
+      heartbeatInterval: 15000, // 15 seconds
+      webhook: null, // GitHubWebhookAdapter options, e.g. { secret } (a secret is required)
+      ...options
+    };
+
+    this.webhook = this.options.webhook ? new GitHubWebhookAdapter(this.options.webhook) : null;
+
+    this.clients = new Set();
+    this.server = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Start listening for HTTP requests
+   * @returns {Promise<Collector>} Resolves once the server is listening
+   */
+  async start() {
+    await AgentLogger.useStorage(this.options.storage || new FileAdapter(this.options.directory));
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Close all SSE connections and stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Route an incoming request
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    const origin = this.corsOrigin(req.headers.origin);
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      if (origin !== '*') res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const writes = url.pathname === '/activities' && (req.method === 'POST' || req.method === 'DELETE');
+    if (writes && !this.isAuthorized(req)) {
+      this.sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    if (url.pathname === '/events' && req.method === 'GET') {
+      this.openStream(req, res);
+    } else if (url.pathname === '/activities' && req.method === 'POST') {
+      this.ingest(req, res);
+    } else if (url.pathname === '/activities' && req.method === 'GET') {
+      const limit = parseInt(url.searchParams.get('limit'), 10) || null;
+      this.sendJSON(res, 200, AgentLogger.getActivities(limit));
+    } else if (url.pathname === '/webhooks/github' && req.method === 'POST' && this.webhook) {
+      this.receiveWebhook(req, res);
+    } else if (url.pathname === '/activities' && req.method === 'DELETE') {
+      AgentLogger.clear();
+      this.broadcast('cleared', {});
+      this.sendJSON(res, 200, { cleared: true });
+    } else {
+      this.sendJSON(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * Pick the Access-Control-Allow-Origin value for a request
+   * @param {string} origin - `Origin` request header
+   * @returns {string|null} '*', the request origin, or null to send no CORS headers
+   */
+  corsOrigin(origin) {
+    const allowed = [].concat(this.options.allowOrigin || []);
+    if (allowed.includes('*')) return '*';
+    return origin && allowed.includes(origin) ? origin : null;
+  }
+
+  /**
+   * Check the bearer token of a write request
+   * @returns {boolean} True when no token is configured or the header matches it
+   */
+  isAuthorized(req) {
+    if (!this.options.token) return true;
+
+    const expected = Buffer.from(`Bearer ${this.options.token}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Validate, persist and broadcast posted activities
+   */
+  ingest(req, res) {
+    this.readBody(req, (error, body) => {
+      if (error) {
+        this.sendJSON(res, error.statusCode || 400, { error: error.message });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (parseError) {
+        this.sendJSON(res, 400, { error: 'Invalid JSON' });
+        return;
+      }
+
+      const result = this.accept(Array.isArray(payload) ? payload : [payload]);
+      this.sendJSON(res, result.rejected.length && !result.accepted ? 400 : 202, result);
+    });
+  }
+
+  /**
+   * Verify and record a GitHub webhook delivery
+   */
+  receiveWebhook(req, res) {
+    this.readBody(req, (error, body) => {
+      if (error) {
+        this.sendJSON(res, error.statusCode || 400, { error: error.message });
+        return;
+      }
+
+      const known = new Set(AgentLogger.getActivities().map(activity => activity.id));
+      let result;
+      try {
+        result = this.webhook.handle({
+          event: req.headers['x-github-event'],
+          signature: req.headers['x-hub-signature-256'],
+          body,
+          id: req.headers['x-github-delivery']
+        });
+      } catch (handleError) {
+        // Never let one bad delivery take the collector down
+        console.error('CodeDAO SDK: Failed to handle webhook delivery:', handleError);
+        result = { ok: false, status: 500, activities: [], error: 'Failed to handle delivery' };
+      }
+
+      result.activities.forEach(activity => {
+        this.broadcast(known.has(activity.id) ? 'updated' : 'activity', activity);
+      });
+
+      this.sendJSON(res, result.status, result.ok
+        ? { accepted: result.activities.length }
+        : { error: result.error });
+    });
+  }
+
+  /**
+   * Store a batch of activities, filling in `id` and `timestamp` when absent
+   * An activity the collector already has is a resend: it updates the stored
+   * copy when it was changed later, and is counted as a duplicate otherwise.
+   * @param {Array} items - Activities received from a client
+   * @returns {Object} Counts of accepted and duplicate activities and per-item rejections
+   */
+  accept(items) {
+    const result = { accepted: 0, duplicates: 0, rejected: [] };
+    const known = new Map(AgentLogger.getActivities().map(activity => [activity.id, activity]));
+
+    items.forEach((item, index) => {
+      const defaults = AgentLogger.createActivity(item && item.agent, item && item.action);
+      const activity = { id: defaults.id, timestamp: defaults.timestamp, ...item };
+
+      if (!AgentLogger.validate(activity)) {
+        result.rejected.push({ index, errors: AgentLogger.validate.errors });
+        return;
+      }
+
+      const existing = known.get(activity.id);
+      if (existing && revisionTime(activity) <= revisionTime(existing)) {
+        result.duplicates++;
+        return;
+      }
+
+      const { action, status, metadata } = activity;
+      const stored = existing
+        ? AgentLogger.updateActivity(activity.id, { action, status, metadata })
+        : AgentLogger.record(activity);
+
+      if (stored) {
+        result.accepted++;
+        known.set(stored.id, stored);
+        this.broadcast(existing ? 'updated' : 'activity', stored);
+      } else {
+        result.rejected.push({ index, errors: [{ message: 'Failed to persist activity' }] });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Register a Server-Sent Events client
+   */
+  openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Send an event to every connected SSE client
+   * @param {string} event - Event name ('activity', 'updated' or 'cleared')
+   * @param {Object} data - Event payload
+   */
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(client => client.write(message));
+  }
+
+  /**
+   * Keep idle SSE connections from being closed by proxies
+   */
+  heartbeat() {
+    this.clients.forEach(client => client.write(': ping\n\n'));
+  }
+
+  /**
+   * Collect a request body, enforcing the size limit
+   */
+  readBody(req, callback) {
+    let body = '';
+    let finished = false;
+
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      if (finished) return;
+      body += chunk;
+      if (body.length > this.options.maxBodySize) {
+        finished = true;
+        const error = new Error('Payload too large');
+        error.statusCode = 413;
+        callback(error);
+      }
+    });
+    req.on('end', () => {
+      if (!finished) {
+        finished = true;
+        callback(null, body);
+      }
+    });
+  }
+
+  sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+/**
+ * Create and start a collector
+ * @param {Object} options - Collector options (port, host, storage, ...)
+ * @returns {Promise<Collector>} Running collector instance
+ */
+export function startCollector(options = {}) {
+  return new Collector(options).start();
+}
@@ -0,0 +1,153 @@
+import { AgentLogger } from './agentLogger.js';
+import { MemoryAdapter } from './storage.js';
+
+/**
+ * CollectorClient - Talks to a Collector server. Agents use it to send
+ * activities from any process; dashboards use it to receive them live.
+ * Needs a global fetch (browsers, Node.js 18+).
+ */
+export class CollectorClient {
+  /**
+   * @param {string} url - Base URL of the collector (e.g., 'http://127.0.0.1:4318')
+   * @param {Object} options - { token: bearer token the collector requires for writes }
+   */
+  constructor(url = 'http://127.0.0.1:4318', options = {}) {
+    this.url = url.replace(/\/$/, '');
+    this.token = options.token || null;
+    this.eventSource = null;
+    this.mirror = null;
+    this.previousStorage = null;
+  }
+
+  /**
+   * Log an activity locally and send it to the collector
+   * @param {string} agent - Agent name (e.g., 'Claude', 'ChatGPT')
+   * @param {string} action - Description of the action taken
+   * @param {string} type - Type of action
+   * @param {string} status - Status
+   * @param {Object} metadata - Additional metadata (optional)
+   * @param {Object} context - Trace context: { traceId, parentId } (optional)
+   * @returns {Promise<boolean>} Whether the collector accepted the activity
+   */
+  log(agent, action, type = 'info', status = 'success', metadata = {}, context = {}) {
+    const activity = AgentLogger.createActivity(agent, action, type, status, metadata, context);
+
+    if (!AgentLogger.record(activity)) {
+      return Promise.resolve(false);
+    }
+
+    return this.send(activity);
+  }
+
+  /**
+   * Send one activity or an array of activities to the collector
+   * @param {Object|Array} activities - Activities to send
+   * @returns {Promise<boolean>} Whether every activity was accepted
+   */
+  async send(activities) {
+    try {
+      const response = await fetch(`${this.url}/activities`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+        },
+        body: JSON.stringify(activities)
+      });
+      const result = await response.json();
+
+      if (result.rejected && result.rejected.length) {
+        console.warn('CodeDAO SDK: Collector rejected activities:', result.rejected);
+      }
+
+      return response.ok && (!result.rejected || result.rejected.length === 0);
+    } catch (error) {
+      console.error('CodeDAO SDK: Failed to send activity to collector:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the collector's activities into AgentLogger and stream new ones
+   * @param {Object} options - { mirror: switch AgentLogger to an in-memory copy
+   *   of the collector instead of merging into the current storage, until
+   *   disconnect() }
+   * @returns {Promise<boolean>} Success status of the initial sync
+   */
+  async connect(options = {}) {
+    const { mirror = false } = options;
+    let synced = false;
+
+    this.disconnect();
+
+    try {
+      const response = await fetch(`${this.url}/activities`);
+      if (!response.ok) {
+        throw new Error(`Collector responded with ${response.status}`);
+      }
+
+      const activities = await response.json();
+      if (!Array.isArray(activities)) {
+        throw new Error('Collector did not return an array of activities');
+      }
+
+      if (mirror) {
+        this.previousStorage = AgentLogger.storage;
+        this.mirror = new MemoryAdapter();
+        await AgentLogger.useStorage(this.mirror);
+      }
+      synced = AgentLogger.importActivities(activities, { strategy: mirror ? 'replace' : 'merge' }).success;
+    } catch (error) {
+      console.error('CodeDAO SDK: Failed to load activities from collector:', error);
+    }
+
+    if (typeof EventSource === 'undefined') {
+      console.warn('CodeDAO SDK: EventSource is not available, live updates disabled');
+      return synced;
+    }
+
+    this.eventSource = new EventSource(`${this.url}/events`);
+
+    this.eventSource.addEventListener('activity', event => {
+      const activity = JSON.parse(event.data);
+      const known = AgentLogger.getActivities().some(a => a.id === activity.id);
+      if (!known) {
+        AgentLogger.record(activity);
+      }
+    });
+
+    this.eventSource.addEventListener('updated', event => {
+      const activity = JSON.parse(event.data);
+      const known = AgentLogger.getActivities().some(a => a.id === activity.id);
+      if (known) {
+        AgentLogger.updateActivity(activity.id, activity);
+      } else {
+        AgentLogger.record(activity);
+      }
+    });
+
+    this.eventSource.addEventListener('cleared', () => {
+      AgentLogger.clear();
+    });
+
+    return synced;
+  }
+
+  /**
+   * Stop streaming from the collector, switching back from a mirror to the
+   * storage that was in use before connect()
+   */
+  disconnect() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+
+    // Leave storage alone if something else replaced the mirror since
+    if (this.mirror && AgentLogger.storage === this.mirror) {
+      AgentLogger.useStorage(this.previousStorage);
+    }
+    this.mirror = null;
+    this.previousStorage = null;
+  }
+}
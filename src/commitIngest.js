@@ -0,0 +1,206 @@
+import { AgentLogger } from './agentLogger.js';
+
+/**
+ * Commit ingestion
+ * Turns commit JSON (GitHub REST API, push webhook or local git) into
+ * schema-valid activities, attributing each commit to an agent with
+ * configurable rules.
+ */
+
+/**
+ * Attribution rules, evaluated in order; the first matching rule wins.
+ * Every condition present on a rule must match:
+ *   email       - RegExp tested against the author email
+ *   authorName  - RegExp tested against the author name
+ *   keywords    - Any of these substrings in the message (case-insensitive)
+ *   allKeywords - All of these substrings in the message (case-insensitive)
+ *   trailer     - RegExp tested against each Co-Authored-By trailer value
+ */
+export const defaultAttributionRules = [
+  { agent: 'Claude', trailer: /claude|anthropic/i },
+  { agent: 'ChatGPT', trailer: /chatgpt|openai/i },
+  { agent: 'Copilot', trailer: /copilot/i },
+  { agent: 'Claude', email: /ai@/i, keywords: ['claude', 'validated', 'analyzed'] },
+  { agent: 'ChatGPT', email: /ai@/i, keywords: ['chatgpt', 'generated', 'automated'] },
+  { agent: 'Claude', email: /ai@/i },
+  { agent: 'ChatGPT', authorName: /Multi-AI|AI Agent/, keywords: ['chatgpt'] },
+  { agent: 'Claude', authorName: /Multi-AI|AI Agent/ },
+  { agent: 'ChatGPT', keywords: ['ai agent', 'automated', 'multi-ai'], allKeywords: ['chatgpt'] },
+  { agent: 'Claude', keywords: ['ai agent', 'automated', 'multi-ai'] }
+];
+
+/**
+ * Type rules, evaluated in order; the first rule with a matching keyword wins
+ */
+export const defaultTypeRules = [
+  { type: 'detection', keywords: ['fix', 'bug'] },
+  { type: 'validation', keywords: ['test', 'validate'] },
+  { type: 'optimization', keywords: ['refactor', 'optimize'] },
+  { type: 'security', keywords: ['security', 'vulnerability'] },
+  { type: 'documentation', keywords: ['doc', 'readme'] },
+  { type: 'deployment', keywords: ['deploy', 'release'] }
+];
+
+/**
+ * Parse `Key: value` trailers from the last paragraph of a commit message
+ * @param {string} message - Full commit message
+ * @returns {Array} [{ key, value }]
+ */
+export function parseTrailers(message = '') {
+  const paragraphs = message.trim().split(/\n\s*\n/);
+  if (paragraphs.length < 2) return [];
+
+  const lines = paragraphs[paragraphs.length - 1].split('\n');
+  const trailers = lines
+    .map(line => line.match(/^([A-Za-z][A-Za-z0-9-]*):\s*(.+)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => ({ key, value: value.trim() }));
+
+  // Only treat the paragraph as trailers when every line is one
+  return trailers.length === lines.filter(line => line.trim()).length ? trailers : [];
+}
+
+/**
+ * Normalize the commit shapes we accept into one structure
+ * @param {Object} commit - GitHub REST commit, push webhook commit or normalized commit
+ * @returns {Object} { sha, message, authorName, authorEmail, date, url }
+ */
+export function normalizeCommit(commit) {
+  // GitHub REST API: { sha, html_url, commit: { message, author: { name, email, date } } }
+  if (commit.commit) {
+    const author = commit.commit.author || {};
+    return {
+      sha: commit.sha,
+      message: commit.commit.message || '',
+      authorName: author.name || '',
+      authorEmail: author.email || '',
+      date: author.date,
+      url: commit.html_url
+    };
+  }
+
+  // Push webhook: { id, message, timestamp, url, author: { name, email } }
+  if (commit.id && commit.author) {
+    return {
+      sha: commit.id,
+      message: commit.message || '',
+      authorName: commit.author.name || '',
+      authorEmail: commit.author.email || '',
+      date: commit.timestamp,
+      url: commit.url
+    };
+  }
+
+  return { message: '', authorName: '', authorEmail: '', ...commit };
+}
+
+/**
+ * CommitIngester - Converts commits into activities using attribution rules
+ */
+export class CommitIngester {
+  constructor(options = {}) {
+    this.options = {
+      attributionRules: defaultAttributionRules,
+      typeRules: defaultTypeRules,
+      defaultType: 'commit',
+      fallbackAgent: 'Human',
+      includeHumans: false, // Drop commits no rule attributes to an agent
+      repository: null,
+      ...options
+    };
+  }
+
+  /**
+   * Determine which agent authored a commit
+   * @param {Object} commit - Any accepted commit shape
+   * @returns {string} Agent name, or the fallback agent
+   */
+  attribute(commit) {
+    const normalized = normalizeCommit(commit);
+    const message = normalized.message.toLowerCase();
+    const coAuthors = parseTrailers(normalized.message)
+      .filter(trailer => trailer.key.toLowerCase() === 'co-authored-by')
+      .map(trailer => trailer.value);
+
+    const matches = (rule) => {
+      if (rule.email && !rule.email.test(normalized.authorEmail)) return false;
+      if (rule.authorName && !rule.authorName.test(normalized.authorName)) return false;
+      if (rule.trailer && !coAuthors.some(value => rule.trailer.test(value))) return false;
+      if (rule.keywords && !rule.keywords.some(keyword => message.includes(keyword.toLowerCase()))) return false;
+      if (rule.allKeywords && !rule.allKeywords.every(keyword => message.includes(keyword.toLowerCase()))) return false;
+      return true;
+    };
+
+    const rule = this.options.attributionRules.find(matches);
+    return rule ? rule.agent : this.options.fallbackAgent;
+  }
+
+  /**
+   * Determine the activity type of a commit message
+   * @param {string} message - Commit message
+   * @returns {string} Activity type
+   */
+  classify(message = '') {
+    const text = message.toLowerCase();
+    const rule = this.options.typeRules.find(r => r.keywords.some(keyword => text.includes(keyword.toLowerCase())));
+    return rule ? rule.type : this.options.defaultType;
+  }
+
+  /**
+   * Convert a commit into an activity
+   * @param {Object} commit - Any accepted commit shape
+   * @param {Object} metadata - Extra metadata merged into the activity (optional)
+   * @returns {Object} Activity object (not yet validated or stored)
+   */
+  toActivity(commit, metadata = {}) {
+    const normalized = normalizeCommit(commit);
+    const activityMetadata = {
+      commitHash: String(normalized.sha).substring(0, 7).toLowerCase(),
+      author: normalized.authorName
+    };
+
+    if (normalized.url) activityMetadata.url = normalized.url;
+    if (this.options.repository) activityMetadata.repository = this.options.repository;
+
+    return {
+      id: `commit-${normalized.sha}`,
+      timestamp: new Date(normalized.date || Date.now()).toISOString(),
+      agent: this.attribute(normalized),
+      action: normalized.message.split('\n')[0],
+      type: this.classify(normalized.message),
+      status: 'success',
+      metadata: { ...activityMetadata, ...metadata }
+    };
+  }
+
+  /**
+   * Convert commits into schema-valid activities
+   * @param {Array} commits - Commits in any accepted shape
+   * @returns {Array} Valid activities, in the order given
+   */
+  convert(commits) {
+    return commits
+      .map(commit => this.toActivity(commit))
+      .filter(activity => this.options.includeHumans || activity.agent !== this.options.fallbackAgent)
+      .filter(activity => {
+        if (AgentLogger.validate(activity)) return true;
+        console.warn('CodeDAO SDK: Skipping invalid commit activity:', activity.id, AgentLogger.validate.errors);
+        return false;
+      });
+  }
+
+  /**
+   * Convert commits and record the ones not already stored
+   * @param {Array} commits - Commits in any accepted shape (newest first, as GitHub returns them)
+   * @returns {Array} Newly recorded activities
+   */
+  ingest(commits) {
+    const known = new Set(AgentLogger.getActivities().map(activity => activity.id));
+
+    // Record oldest first so the store stays newest first
+    return this.convert(commits)
+      .filter(activity => !known.has(activity.id))
+      .reverse()
+      .filter(activity => AgentLogger.record(activity));
+  }
+}
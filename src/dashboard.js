@@ -1,5 +1,47 @@
 import { AgentLogger } from './agentLogger.js';
-import { agentConfig, statusConfig, typeConfig } from './schema.js';
+import { CollectorClient } from './collectorClient.js';
+import { statusConfig, typeConfig } from './schema.js';
+import { getAgentConfig, registerAgent } from './registry.js';
+import { groupTraces, buildTraceTree, flattenTraceTree } from './trace.js';
+import { buildCollaborationGraph } from './collaboration.js';
+import { sparkline } from './charts.js';
+import { dashboardStyles } from './styles.js';
+import { html, raw, safeUrl } from './html.js';
+import { renderIcon } from './icons.js';
+import { resolveTheme } from './themes.js';
+import { AlertEngine } from './alerts.js';
+import { matchesQuery, runQuery } from './query.js';
+import { activityHTML, metadataHTML, analyticsHTML, relativeTime } from './templates.js';
+import { renderStaticHTML } from './report.js';
+
+const requestFrame = callback => (typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(callback)
+  : setTimeout(callback, 16));
+
+const cancelFrame = handle => (typeof cancelAnimationFrame === 'function'
+  ? cancelAnimationFrame(handle)
+  : clearTimeout(handle));
+
+let nextInstanceId = 1;
+
+/**
+ * Labels for well-known metadata keys in the detail drawer
+ */
+const METADATA_LABELS = {
+  commitHash: 'Commit',
+  filePath: 'File',
+  lineNumbers: 'Lines',
+  duration: 'Duration',
+  confidence: 'Confidence',
+  tags: 'Tags',
+  targetAgent: 'Target agent',
+  repository: 'Repository',
+  branch: 'Branch',
+  pullRequest: 'Pull request',
+  issue: 'Issue',
+  errorMessage: 'Error',
+  url: 'URL'
+};
 
 /**
  * Dashboard - Renders and manages the AI activity visualization
@@ -7,24 +49,68 @@ import { agentConfig, statusConfig, typeConfig } from './schema.js';
 export class Dashboard {
   constructor(containerId, options = {}) {
     this.containerId = containerId;
-    this.container = document.querySelector(containerId);
+    this.container = typeof containerId === 'string'
+      ? document.querySelector(containerId)
+      : containerId;
+    this.instanceId = nextInstanceId++;
     this.options = {
       autoRefresh: true,
       refreshInterval: 30000, // 30 seconds
       maxActivities: 50,
+      virtualizeThreshold: 200, // Only render visible rows above this many activities
+      rowHeight: 96, // Fixed row height (px) used while virtualized
+      overscan: 8, // Extra rows rendered above and below the viewport
       showStats: true,
+      analyticsBucket: 'hour', // 'hour' or 'day'
+      analyticsBuckets: 24,
       showFilters: true,
-      theme: 'light',
+      showTraces: true,
+      maxTraces: 5,
+      showNetwork: true,
+      showIntegrity: true, // Badge showing whether the hash-chained history verifies
+      integrityInterval: 60000, // Re-hash the whole chain at most this long (ms) after the last full check
+      theme: 'light', // 'light', 'dark', 'high-contrast', 'auto', a registered name or a token object
+      collectorUrl: null, // Stream activities from a Collector server, merged into AgentLogger's storage
+      filters: {}, // Fixed query criteria for this instance, e.g. { agent: 'Claude' }
+      showDetails: true, // Open a detail drawer when an activity is clicked
+      repositoryBaseUrl: 'https://github.com', // Used to link commits, PRs and issues
+      alerts: null, // AlertEngine instance or an array of alert rules
+      notifications: false, // Browser notifications for alerts (needs permission)
       ...options
     };
     
     this.refreshTimer = null;
+    this.searchTimer = null;
+    this.panelTimer = null;
+    this.listFrame = null;
+    this.collector = null;
+    this.activities = []; // Activities currently in the feed, newest first
+    this.virtual = false;
+    this.filterSignatures = {};
+    this.integrity = null; // Last valid chain verification, so refreshes only hash new activities
+    this.integrityCheckedAt = 0; // When the whole chain was last hashed
+    this.detailActivity = null; // Activity shown in the detail drawer
+    this.detailHistory = []; // Activities to return to with "Back"
+    this.alertEngine = null;
+    this.unsubscribeAlerts = null;
+
+    // Bound once so destroy() can remove exactly these listeners
+    this.handleActivity = this.handleActivity.bind(this);
+    this.handleUpdated = this.handleUpdated.bind(this);
+    this.handleReplaced = this.handleReplaced.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleDrawerClick = this.handleDrawerClick.bind(this);
+    this.handleDrawerKeydown = this.handleDrawerKeydown.bind(this);
+    this.handleAlertClick = this.handleAlertClick.bind(this);
+    this.renderAlerts = this.renderAlerts.bind(this);
+
     this.init();
   }
 
   /**
    * Static method to quickly render a dashboard
-   * @param {string} containerId - CSS selector for container element
+   * @param {string|Element} containerId - CSS selector or container element
    * @param {Object} options - Configuration options
    * @returns {Dashboard} Dashboard instance
    */
@@ -32,6 +118,24 @@ export class Dashboard {
     return new Dashboard(containerId, options);
   }
 
+  /**
+   * Render a static, non-interactive snapshot of the dashboard
+   * @see renderStaticHTML in report.js
+   */
+  static renderStaticHTML(activities, options = {}) {
+    return renderStaticHTML(activities, options);
+  }
+
+  /**
+   * Register styling for an agent (shared with AgentLogger.registerAgent)
+   * @param {string} name - Agent name as used in activities
+   * @param {Object} options - { color, icon, displayName }
+   * @returns {Object} Resolved agent configuration
+   */
+  static registerAgent(name, options = {}) {
+    return registerAgent(name, options);
+  }
+
   /**
    * Initialize the dashboard
    */
@@ -45,6 +149,21 @@ export class Dashboard {
     this.bindEvents();
     this.renderActivities();
     
+    if (this.options.collectorUrl) {
+      this.collector = new CollectorClient(this.options.collectorUrl);
+      this.collector.connect();
+    }
+
+    if (this.options.alerts) {
+      const { alerts, notifications } = this.options;
+      this.alertEngine = alerts instanceof AlertEngine
+        ? alerts
+        : new AlertEngine({ rules: alerts, notifications });
+      this.alertEngine.start();
+      this.unsubscribeAlerts = this.alertEngine.subscribe(this.renderAlerts);
+      this.renderAlerts();
+    }
+    
     if (this.options.autoRefresh) {
       this.startAutoRefresh();
     }
@@ -54,42 +173,68 @@ export class Dashboard {
    * Create the dashboard HTML structure
    */
   createHTML() {
-    this.container.innerHTML = `
-      <div class="codedao-dashboard" data-theme="${this.options.theme}">
+    const theme = resolveTheme(this.options.theme);
+
+    this.container.innerHTML = html`
+      <div class="codedao-dashboard" data-theme="${theme.name}" style="${theme.style}">
+        ${this.options.alerts ? html`<div class="codedao-alerts" role="status" aria-live="polite"></div>` : ''}
         ${this.options.showStats ? this.createStatsHTML() : ''}
         ${this.options.showFilters ? this.createFiltersHTML() : ''}
         <div class="codedao-activities">
           <div class="codedao-activities-header">
             <h3>Live AI Activity Feed</h3>
+            ${this.options.showIntegrity ? html`<span class="codedao-integrity" role="status"></span>` : ''}
             <div class="codedao-status">
               <div class="codedao-indicator"></div>
               <span>Live</span>
             </div>
           </div>
-          <div class="codedao-activities-list" id="codedao-activities-list">
+          <div class="codedao-activities-list">
             <!-- Activities will be rendered here -->
           </div>
         </div>
+        ${this.options.showTraces ? this.createTracesHTML() : ''}
+        ${this.options.showNetwork ? this.createNetworkHTML() : ''}
+        ${this.options.showDetails ? html`<aside class="codedao-drawer" tabindex="-1" aria-label="Activity details" hidden></aside>` : ''}
       </div>
     `;
 
     this.injectCSS();
   }
 
+  /**
+   * Switch theme without re-rendering
+   * @param {string|Object} theme - Theme name or custom token object
+   */
+  setTheme(theme) {
+    this.options.theme = theme;
+
+    const root = this.find('.codedao-dashboard');
+    if (!root) return;
+
+    const { name, style } = resolveTheme(theme);
+    root.dataset.theme = name;
+    root.setAttribute('style', style);
+  }
+
   /**
    * Create statistics section HTML
    */
   createStatsHTML() {
-    return `
+    return html`
       <div class="codedao-stats">
-        <div class="codedao-stat-item" id="codedao-total-activities">
+        <div class="codedao-stat-item codedao-total-activities">
           <div class="codedao-stat-number">0</div>
           <div class="codedao-stat-label">Total Activities</div>
+          <div class="codedao-stat-trend"></div>
         </div>
-        <div class="codedao-agents-stats" id="codedao-agents-stats">
+        <div class="codedao-agents-stats">
           <!-- Agent stats will be rendered here -->
         </div>
       </div>
+      <div class="codedao-analytics">
+        <!-- Charts will be rendered here -->
+      </div>
     `;
   }
 
@@ -97,18 +242,56 @@ export class Dashboard {
    * Create filters section HTML
    */
   createFiltersHTML() {
-    return `
+    return html`
       <div class="codedao-filters">
-        <select id="codedao-filter-agent">
+        <select class="codedao-filter-agent">
           <option value="">All Agents</option>
         </select>
-        <select id="codedao-filter-type">
+        <select class="codedao-filter-type">
           <option value="">All Types</option>
         </select>
-        <select id="codedao-filter-status">
+        <select class="codedao-filter-status">
           <option value="">All Status</option>
         </select>
-        <button id="codedao-clear-filters">Clear Filters</button>
+        <select class="codedao-filter-tag">
+          <option value="">All Tags</option>
+        </select>
+        <input type="date" class="codedao-filter-since" title="From date">
+        <input type="date" class="codedao-filter-until" title="To date">
+        <input type="search" class="codedao-filter-search" placeholder="Search actions...">
+        <button class="codedao-clear-filters">Clear Filters</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Create trace waterfall section HTML
+   */
+  createTracesHTML() {
+    return html`
+      <div class="codedao-traces">
+        <div class="codedao-activities-header">
+          <h3>Trace Waterfall</h3>
+        </div>
+        <div class="codedao-traces-list">
+          <!-- Traces will be rendered here -->
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create collaboration network section HTML
+   */
+  createNetworkHTML() {
+    return html`
+      <div class="codedao-network">
+        <div class="codedao-activities-header">
+          <h3>Agent Collaboration Network</h3>
+        </div>
+        <div class="codedao-network-graph">
+          <!-- Network graph will be rendered here -->
+        </div>
       </div>
     `;
   }
@@ -118,37 +301,146 @@ export class Dashboard {
    */
   bindEvents() {
     // Listen for new activities
-    window.addEventListener('codedao:activity', () => {
-      this.renderActivities();
-    });
+    window.addEventListener('codedao:activity', this.handleActivity);
 
     // Listen for cleared activities
-    window.addEventListener('codedao:cleared', () => {
-      this.renderActivities();
-    });
+    window.addEventListener('codedao:cleared', this.handleReplaced);
+
+    // Listen for imported activities (including collector syncs)
+    window.addEventListener('codedao:imported', this.handleReplaced);
+
+    // Old activities were rolled up by the retention policy
+    window.addEventListener('codedao:compacted', this.handleReplaced);
+
+    // Patch long-running activities in place as they progress
+    window.addEventListener('codedao:updated', this.handleUpdated);
+
+    // Render the rows scrolled into view while virtualized
+    const listContainer = this.find('.codedao-activities-list');
+    if (listContainer) {
+      listContainer.addEventListener('scroll', this.handleScroll);
+      listContainer.addEventListener('click', this.handleClick);
+    }
+
+    const drawer = this.find('.codedao-drawer');
+    if (drawer) {
+      drawer.addEventListener('click', this.handleDrawerClick);
+      drawer.addEventListener('keydown', this.handleDrawerKeydown);
+    }
+
+    const alerts = this.find('.codedao-alerts');
+    if (alerts) {
+      alerts.addEventListener('click', this.handleAlertClick);
+    }
 
     // Filter event listeners
     if (this.options.showFilters) {
-      const filterAgent = document.getElementById('codedao-filter-agent');
-      const filterType = document.getElementById('codedao-filter-type');
-      const filterStatus = document.getElementById('codedao-filter-status');
-      const clearFilters = document.getElementById('codedao-clear-filters');
-
-      if (filterAgent) filterAgent.addEventListener('change', () => this.renderActivities());
-      if (filterType) filterType.addEventListener('change', () => this.renderActivities());
-      if (filterStatus) filterStatus.addEventListener('change', () => this.renderActivities());
+      const filterIds = ['agent', 'type', 'status', 'tag', 'since', 'until'];
+      const filters = filterIds.map(id => this.find(`.codedao-filter-${id}`));
+      const filterSearch = this.find('.codedao-filter-search');
+      const clearFilters = this.find('.codedao-clear-filters');
+
+      filters.forEach(filter => {
+        if (filter) filter.addEventListener('change', () => this.renderActivities());
+      });
+
+      // Debounce typing so each keystroke doesn't re-render the feed
+      if (filterSearch) {
+        filterSearch.addEventListener('input', () => {
+          clearTimeout(this.searchTimer);
+          this.searchTimer = setTimeout(() => this.renderActivities(), 250);
+        });
+      }
       
       if (clearFilters) {
         clearFilters.addEventListener('click', () => {
-          if (filterAgent) filterAgent.value = '';
-          if (filterType) filterType.value = '';
-          if (filterStatus) filterStatus.value = '';
+          [...filters, filterSearch].forEach(filter => {
+            if (filter) filter.value = '';
+          });
           this.renderActivities();
         });
       }
     }
   }
 
+  handleActivity(event) {
+    this.addActivity(event.detail);
+  }
+
+  handleUpdated(event) {
+    this.updateActivity(event.detail);
+  }
+
+  handleReplaced() {
+    this.integrity = null;
+    this.renderActivities();
+  }
+
+  handleScroll() {
+    if (this.virtual) this.scheduleListRender();
+  }
+
+  /**
+   * Emit `codedao:activity-click` (bubbling out of shadow roots) for clicked
+   * rows and open the detail drawer unless a listener called preventDefault()
+   */
+  handleClick(event) {
+    const row = event.target.closest('.codedao-activity-item');
+    if (!row) return;
+
+    const activity = this.activities.find(item => String(item.id) === row.dataset.activityId);
+    if (!activity) return;
+
+    const proceed = this.container.dispatchEvent(new CustomEvent('codedao:activity-click', {
+      detail: { activity },
+      bubbles: true,
+      composed: true,
+      cancelable: true
+    }));
+
+    if (proceed && this.options.showDetails) {
+      this.detailHistory = [];
+      this.showDetails(activity);
+    }
+  }
+
+  handleDrawerClick(event) {
+    const control = event.target.closest('[data-detail-action]');
+    if (!control) return;
+
+    const action = control.dataset.detailAction;
+    if (action === 'close') {
+      this.closeDetails();
+    } else if (action === 'back' && this.detailHistory.length) {
+      const previous = this.detailHistory.pop();
+      this.showDetails(this.findActivity(previous.id) || previous);
+    } else if (action === 'open') {
+      const related = this.findActivity(control.dataset.activityRef);
+      if (!related) return;
+
+      this.detailHistory.push(this.detailActivity);
+      this.showDetails(related);
+    }
+  }
+
+  handleDrawerKeydown(event) {
+    if (event.key === 'Escape') this.closeDetails();
+  }
+
+  handleAlertClick(event) {
+    const button = event.target.closest('[data-alert-id]');
+    if (button && this.alertEngine) this.alertEngine.dismiss(button.dataset.alertId);
+  }
+
+  /**
+   * Find an element inside this dashboard's container
+   * @param {string} selector - CSS selector
+   * @returns {Element|null}
+   */
+  find(selector) {
+    return this.container ? this.container.querySelector(selector) : null;
+  }
+
   /**
    * Start auto-refresh timer
    */
@@ -172,54 +464,112 @@ export class Dashboard {
    * Get filtered activities based on current filter settings
    */
   getFilteredActivities() {
-    let activities = AgentLogger.getActivities(this.options.maxActivities);
+    return AgentLogger.query({
+      ...this.getFilterCriteria(),
+      limit: this.options.maxActivities
+    }).activities;
+  }
 
-    if (this.options.showFilters) {
-      const filterAgent = document.getElementById('codedao-filter-agent');
-      const filterType = document.getElementById('codedao-filter-type');
-      const filterStatus = document.getElementById('codedao-filter-status');
+  /**
+   * Read the filter bar into AgentLogger.query criteria
+   */
+  getFilterCriteria() {
+    const { filters } = this.options;
+    if (!this.options.showFilters) return { ...filters };
 
-      if (filterAgent?.value) {
-        activities = activities.filter(a => a.agent === filterAgent.value);
-      }
-      if (filterType?.value) {
-        activities = activities.filter(a => a.type === filterType.value);
-      }
-      if (filterStatus?.value) {
-        activities = activities.filter(a => a.status === filterStatus.value);
-      }
-    }
+    const value = id => this.find(`.codedao-filter-${id}`)?.value || '';
+    const criteria = {};
+
+    if (value('agent')) criteria.agent = value('agent');
+    if (value('type')) criteria.type = value('type');
+    if (value('status')) criteria.status = value('status');
+    if (value('tag')) criteria.tags = [value('tag')];
+    if (value('search')) criteria.search = value('search');
+
+    // Date inputs are local calendar days; include the whole "until" day
+    if (value('since')) criteria.since = new Date(`${value('since')}T00:00:00`);
+    if (value('until')) criteria.until = new Date(`${value('until')}T23:59:59.999`);
 
-    return activities;
+    // Instance filters always apply; tags from both must match
+    const tags = [...(criteria.tags || []), ...(filters.tags || [])];
+    return { ...criteria, ...filters, ...(tags.length ? { tags } : {}) };
+  }
+
+  /**
+   * Get every stored activity within this instance's fixed filters
+   * @param {Array} stored - Stored activities, when already read (optional)
+   */
+  getScopedActivities(stored = AgentLogger.getActivities()) {
+    return runQuery(stored, { ...this.options.filters, limit: null, cursor: null }).activities;
   }
 
   /**
    * Render all activities and stats
    */
   renderActivities() {
-    const activities = this.getFilteredActivities();
-    const stats = AgentLogger.getStatistics();
+    this.renderActivityList(this.getFilteredActivities());
+    this.renderPanels();
+  }
+
+  /**
+   * Render stats, filters, traces and the network from the stored activities
+   */
+  renderPanels() {
+    clearTimeout(this.panelTimer);
+    this.panelTimer = null;
 
-    this.renderActivityList(activities);
+    // Read the store once and share it between the panels
+    const stored = AgentLogger.getActivities();
+    const scoped = this.getScopedActivities(stored);
+    const stats = AgentLogger.getStatistics(this.options.filters, stored);
     
     if (this.options.showStats) {
-      this.renderStats(stats);
+      this.renderStats(stats, stored);
     }
     
     if (this.options.showFilters) {
       this.updateFilters(stats);
     }
+    
+    if (this.options.showTraces) {
+      this.renderTraces(scoped);
+    }
+    
+    if (this.options.showNetwork) {
+      this.renderNetwork(scoped);
+    }
+
+    if (this.options.showIntegrity) {
+      this.renderIntegrity(stored);
+    }
+  }
+
+  /**
+   * Coalesce panel updates so a burst of activities recomputes stats once
+   */
+  schedulePanels() {
+    if (this.panelTimer) return;
+    this.panelTimer = setTimeout(() => this.renderPanels(), 100);
   }
 
   /**
    * Render the activity list
    */
   renderActivityList(activities) {
-    const listContainer = document.getElementById('codedao-activities-list');
+    const listContainer = this.find('.codedao-activities-list');
     if (!listContainer) return;
 
+    this.activities = activities;
+    this.virtual = activities.length > this.options.virtualizeThreshold;
+    listContainer.classList.toggle('codedao-virtual', this.virtual);
+
+    if (this.virtual) {
+      this.renderVirtualList();
+      return;
+    }
+
     if (activities.length === 0) {
-      listContainer.innerHTML = `
+      listContainer.innerHTML = html`
         <div class="codedao-empty-state">
           <div class="codedao-empty-icon">🤖</div>
           <h4>No AI Activity Yet</h4>
@@ -229,375 +579,591 @@ export class Dashboard {
       return;
     }
 
-    const activitiesHTML = activities.map(activity => this.createActivityHTML(activity)).join('');
-    listContainer.innerHTML = activitiesHTML;
+    listContainer.innerHTML = html`${activities.map(activity => this.createActivityHTML(activity))}`;
+  }
+
+  /**
+   * Render only the rows in (or near) the viewport, with spacers standing
+   * in for the rest so the scrollbar reflects the whole feed
+   */
+  renderVirtualList() {
+    const listContainer = this.find('.codedao-activities-list');
+    if (!listContainer) return;
+
+    const { rowHeight, overscan } = this.options;
+    const total = this.activities.length;
+    const viewport = listContainer.clientHeight || 500;
+    const first = Math.max(Math.floor(listContainer.scrollTop / rowHeight) - overscan, 0);
+    const last = Math.min(first + Math.ceil(viewport / rowHeight) + overscan * 2, total);
+
+    listContainer.style.setProperty('--codedao-row-height', `${rowHeight}px`);
+    listContainer.innerHTML = html`
+      <div class="codedao-virtual-spacer" style="height: ${first * rowHeight}px"></div>
+      ${this.activities.slice(first, last).map(activity => this.createActivityHTML(activity))}
+      <div class="codedao-virtual-spacer" style="height: ${(total - last) * rowHeight}px"></div>
+    `;
+  }
+
+  /**
+   * Re-render the visible rows on the next frame
+   */
+  scheduleListRender() {
+    if (this.listFrame) return;
+    this.listFrame = requestFrame(() => {
+      this.listFrame = null;
+      this.renderVirtualList();
+    });
+  }
+
+  /**
+   * Prepend a newly logged activity without re-reading the store
+   */
+  addActivity(activity) {
+    const listContainer = this.find('.codedao-activities-list');
+    if (!listContainer || !activity) return;
+
+    if (this.activities.some(item => item.id === activity.id)) {
+      this.updateActivity(activity);
+      return;
+    }
+
+    if (matchesQuery(activity, this.getFilterCriteria())) {
+      this.activities.unshift(activity);
+
+      const { maxActivities } = this.options;
+      const removed = maxActivities && this.activities.length > maxActivities
+        ? this.activities.splice(maxActivities).length
+        : 0;
+
+      if (this.activities.length === 1 || this.virtual !== this.activities.length > this.options.virtualizeThreshold) {
+        // First activity replaces the empty state; crossing the threshold switches modes
+        this.renderActivityList(this.activities);
+      } else if (this.virtual) {
+        // Keep the rows the user is looking at in place
+        if (listContainer.scrollTop > 0) listContainer.scrollTop += this.options.rowHeight;
+        this.scheduleListRender();
+      } else {
+        listContainer.insertAdjacentHTML('afterbegin', String(this.createActivityHTML(activity)));
+        for (let i = 0; i < removed; i++) {
+          listContainer.lastElementChild?.remove();
+        }
+      }
+    }
+
+    this.schedulePanels();
+  }
+
+  /**
+   * Replace a single rendered activity after it has been updated
+   */
+  updateActivity(activity) {
+    const listContainer = this.find('.codedao-activities-list');
+    if (!listContainer || !activity) return;
+
+    if (this.detailActivity && String(this.detailActivity.id) === String(activity.id)) {
+      this.showDetails(activity);
+    }
+
+    const index = this.activities.findIndex(item => item.id === activity.id);
+
+    // Activities that aren't in the feed may now match the filters; fall back to a full render
+    if (index === -1) {
+      if (matchesQuery(activity, this.getFilterCriteria())) {
+        this.renderActivities();
+      } else {
+        this.schedulePanels();
+      }
+      return;
+    }
+
+    this.activities[index] = activity;
+
+    const row = Array.from(listContainer.querySelectorAll('.codedao-activity-item'))
+      .find(item => item.dataset.activityId === String(activity.id));
+
+    // Rows scrolled out of a virtualized list are rendered when they come back into view
+    if (row) {
+      row.outerHTML = this.createActivityHTML(activity);
+    }
+
+    this.schedulePanels();
   }
 
   /**
    * Create HTML for a single activity
    */
   createActivityHTML(activity) {
-    const agent = agentConfig[activity.agent] || agentConfig['Claude'];
+    return activityHTML(activity, timestamp => this.formatTimestamp(timestamp));
+  }
+
+  /**
+   * Render activity metadata
+   */
+  renderMetadata(metadata = {}) {
+    return metadataHTML(metadata);
+  }
+
+  /**
+   * Render active alerts as banners and reflect them in the "Live" indicator
+   */
+  renderAlerts() {
+    if (!this.alertEngine) return;
+
+    const alerts = this.alertEngine.getActiveAlerts();
+    const container = this.find('.codedao-alerts');
+    if (container) {
+      container.innerHTML = html`${alerts.map(alert => html`
+        <div class="codedao-alert codedao-alert-${alert.severity}">
+          ${renderIcon(alert.severity === 'critical' ? 'alert-triangle' : 'alert-circle')}
+          <span class="codedao-alert-message">${alert.message}</span>
+          <span class="codedao-timestamp">${this.formatTimestamp(new Date(alert.firedAt))}</span>
+          <button type="button" data-alert-id="${alert.id}" aria-label="Dismiss alert">✕</button>
+        </div>
+      `)}`;
+    }
+
+    const status = this.find('.codedao-status');
+    if (status) {
+      const critical = alerts.some(alert => alert.severity === 'critical');
+      status.dataset.state = critical ? 'critical' : alerts.length ? 'warning' : 'ok';
+      status.querySelector('span').textContent = alerts.length
+        ? `${alerts.length} alert${alerts.length === 1 ? '' : 's'}`
+        : 'Live';
+    }
+  }
+
+  /**
+   * Show whether the stored history passes hash chain verification
+   * Between full checks, only activities stored since the last valid
+   * verification are hashed.
+   * @param {Array} stored - Stored activities, when already read (optional)
+   */
+  renderIntegrity(stored = AgentLogger.getActivities()) {
+    const badge = this.find('.codedao-integrity');
+    if (!badge) return;
+
+    // Only new activities are hashed between full checks; a full check also
+    // runs after imports and compaction, which rewrite the stored chain
+    const now = Date.now();
+    const full = !this.integrity || now - this.integrityCheckedAt >= this.options.integrityInterval;
+    const result = AgentLogger.verifyIntegrity(full ? null : this.integrity, stored);
+    const { valid, brokenAt } = result;
+    if (full) this.integrityCheckedAt = now;
+    this.integrity = valid ? result : null;
+    const unsealed = !valid && brokenAt.reason === 'unsealed';
+    const state = valid ? 'verified' : unsealed ? 'unsealed' : 'tampered';
+    const labels = { verified: 'Verified', unsealed: 'Unverified', tampered: 'Tampered' };
+
+    badge.dataset.state = state;
+    badge.title = valid
+      ? `${result.checked + result.trusted} activities verified (last full check ${this.formatTimestamp(new Date(this.integrityCheckedAt))})`
+      : `History ${unsealed ? 'not yet sealed' : 'changed outside the SDK'} at activity ${brokenAt.id}`;
+    badge.innerHTML = html`${renderIcon(valid ? 'shield' : 'alert-triangle')}<span>${labels[state]}</span>`;
+  }
+
+  /**
+   * Look up a stored activity by id
+   * @param {number|string} id - Activity ID (compared as a string)
+   * @returns {Object|undefined} Activity
+   */
+  findActivity(id) {
+    return AgentLogger.getActivities().find(activity => String(activity.id) === String(id));
+  }
+
+  /**
+   * Open the detail drawer for an activity
+   * @param {Object} activity - Activity to show
+   */
+  showDetails(activity) {
+    const drawer = this.find('.codedao-drawer');
+    if (!drawer || !activity) return;
+
+    this.detailActivity = activity;
+    drawer.innerHTML = this.createDetailsHTML(activity);
+    drawer.hidden = false;
+    if (drawer.focus) drawer.focus();
+  }
+
+  /**
+   * Close the detail drawer
+   */
+  closeDetails() {
+    const drawer = this.find('.codedao-drawer');
+    if (drawer) {
+      drawer.hidden = true;
+      drawer.innerHTML = '';
+    }
+
+    this.detailActivity = null;
+    this.detailHistory = [];
+  }
+
+  /**
+   * Base URL of a repository (e.g., 'owner/repo'), or null if it can't be linked
+   */
+  getRepositoryUrl(repository) {
+    if (!repository || !/^[\w.-]+\/[\w.-]+$/.test(repository)) return null;
+    return safeUrl(`${this.options.repositoryBaseUrl.replace(/\/$/, '')}/${repository}`);
+  }
+
+  /**
+   * Create the detail drawer contents for an activity
+   */
+  createDetailsHTML(activity) {
+    const agent = getAgentConfig(activity.agent);
     const status = statusConfig[activity.status] || statusConfig['info'];
     const type = typeConfig[activity.type] || typeConfig['info'];
-    
-    const timeAgo = this.formatTimestamp(new Date(activity.timestamp));
-    
-    return `
-      <div class="codedao-activity-item" style="border-left-color: ${agent.bgColor}">
-        <div class="codedao-activity-header">
-          <div class="codedao-agent-avatar" style="background-color: ${agent.bgColor}">
-            ${agent.icon}
-          </div>
-          <div class="codedao-activity-meta">
-            <span class="codedao-agent-name" style="color: ${agent.textColor}">${activity.agent}</span>
-            <div class="codedao-activity-icons">
-              <i class="${type.icon}" style="color: ${type.color}"></i>
-              <i class="${status.icon}" style="color: ${status.color}"></i>
-            </div>
-          </div>
-          <span class="codedao-timestamp">${timeAgo}</span>
+    const metadata = activity.metadata || {};
+    const repositoryUrl = this.getRepositoryUrl(metadata.repository);
+
+    const fields = Object.entries(metadata)
+      .filter(([key]) => key !== 'relatedActivities')
+      .map(([key, value]) => html`
+        <dt>${METADATA_LABELS[key] || key}</dt>
+        <dd>${this.formatMetadataValue(key, value, repositoryUrl)}</dd>
+      `);
+
+    const activityLink = id => {
+      const target = this.findActivity(id);
+      return target
+        ? html`<button type="button" class="codedao-drawer-link" data-detail-action="open" data-activity-ref="${id}">${getAgentConfig(target.agent).name}: ${target.action}</button>`
+        : html`<span class="codedao-drawer-missing">#${id} (no longer stored)</span>`;
+    };
+
+    const related = metadata.relatedActivities || [];
+
+    return html`
+      <div class="codedao-drawer-nav">
+        ${this.detailHistory.length ? html`<button type="button" data-detail-action="back">← Back</button>` : html`<span></span>`}
+        <button type="button" data-detail-action="close" aria-label="Close details">✕</button>
+      </div>
+      <div class="codedao-drawer-header">
+        <div class="codedao-agent-avatar" style="background-color: ${agent.bgColor}">
+          ${agent.icon}
         </div>
-        <div class="codedao-activity-content">
-          <p class="codedao-activity-action">${activity.action}</p>
-          ${this.renderMetadata(activity.metadata)}
+        <div class="codedao-agent-info">
+          <span class="codedao-agent-name" style="color: ${agent.textColor}">${agent.name}</span>
+          <span class="codedao-timestamp">${new Date(activity.timestamp).toLocaleString()}</span>
         </div>
       </div>
+      <p class="codedao-drawer-action">${activity.action}</p>
+      <dl class="codedao-drawer-fields">
+        <dt>Type</dt>
+        <dd>${renderIcon(type.icon, { color: type.color })} ${type.label || activity.type}</dd>
+        <dt>Status</dt>
+        <dd>${renderIcon(status.icon, { color: status.color })} ${status.label || activity.status}</dd>
+        <dt>ID</dt>
+        <dd><code>${activity.id}</code></dd>
+        ${activity.traceId ? html`<dt>Trace</dt><dd><code>${activity.traceId}</code></dd>` : ''}
+        ${activity.parentId != null ? html`<dt>Parent</dt><dd>${activityLink(activity.parentId)}</dd>` : ''}
+        ${fields}
+      </dl>
+      ${related.length ? html`
+        <div class="codedao-drawer-section">
+          <h5>Related activities</h5>
+          <ul>${related.map(id => html`<li>${activityLink(id)}</li>`)}</ul>
+        </div>
+      ` : ''}
     `;
   }
 
   /**
-   * Render activity metadata
+   * Format one metadata value for the detail drawer
+   * @param {string} key - Metadata key
+   * @param {*} value - Metadata value
+   * @param {string|null} repositoryUrl - Repository base URL for commit/PR/issue links
    */
-  renderMetadata(metadata = {}) {
-    if (!metadata || Object.keys(metadata).length === 0) return '';
+  formatMetadataValue(key, value, repositoryUrl) {
+    const link = (href, text) => html`<a href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>`;
 
-    let metadataHTML = '';
-    
-    if (metadata.commitHash) {
-      metadataHTML += `
-        <div class="codedao-metadata-item">
-          <i class="fas fa-code-branch"></i>
-          <span>${metadata.commitHash}</span>
-        </div>
-      `;
+    switch (key) {
+      case 'commitHash':
+        return repositoryUrl ? link(`${repositoryUrl}/commit/${value}`, html`<code>${value}</code>`) : html`<code>${value}</code>`;
+      case 'pullRequest':
+        return repositoryUrl ? link(`${repositoryUrl}/pull/${value}`, `#${value}`) : `#${value}`;
+      case 'issue':
+        return repositoryUrl ? link(`${repositoryUrl}/issues/${value}`, `#${value}`) : `#${value}`;
+      case 'repository':
+        return repositoryUrl ? link(repositoryUrl, value) : value;
+      case 'url': {
+        const url = safeUrl(value);
+        return url ? link(url, url) : value;
+      }
+      case 'targetAgent':
+        return getAgentConfig(value).name;
+      case 'duration':
+        return `${value}ms`;
+      case 'confidence':
+        return `${Math.round(value * 100)}%`;
+      case 'lineNumbers':
+        return value.join(', ');
+      case 'tags':
+        return value.map(tag => html`<span class="codedao-tag">${tag}</span>`);
+      case 'errorMessage':
+        return html`<pre class="codedao-drawer-error">${value}</pre>`;
+      default:
+        return value !== null && typeof value === 'object'
+          ? html`<pre>${JSON.stringify(value, null, 2)}</pre>`
+          : String(value);
     }
-    
-    if (metadata.filePath) {
-      metadataHTML += `
-        <div class="codedao-metadata-item">
-          <i class="fas fa-file"></i>
-          <span>${metadata.filePath}</span>
+  }
+
+  /**
+   * Render the most recent traces as waterfalls
+   * @param {Array} scoped - Activities within the instance filters (optional)
+   */
+  renderTraces(scoped = this.getScopedActivities()) {
+    const tracesSection = this.find('.codedao-traces');
+    const tracesList = this.find('.codedao-traces-list');
+    if (!tracesSection || !tracesList) return;
+
+    const traces = Array.from(groupTraces(scoped).values())
+      .slice(0, this.options.maxTraces);
+
+    // Hide the section entirely until something is traced
+    tracesSection.style.display = traces.length ? '' : 'none';
+    tracesList.innerHTML = html`${traces.map(activities => this.createTraceHTML(activities))}`;
+  }
+
+  /**
+   * Create waterfall HTML for a single trace
+   */
+  createTraceHTML(activities) {
+    const spans = flattenTraceTree(buildTraceTree(activities));
+    const start = Math.min(...spans.map(span => span.start));
+    const end = Math.max(...spans.map(span => span.end));
+    const total = Math.max(end - start, 1);
+    const root = spans[0].activity;
+
+    const rowsHTML = spans.map(span => {
+      const agent = getAgentConfig(span.activity.agent);
+      const status = statusConfig[span.activity.status] || statusConfig['info'];
+      const offset = ((span.start - start) / total) * 100;
+      const width = Math.max(((span.end - span.start) / total) * 100, 0.5);
+      const duration = span.activity.metadata?.duration;
+
+      return html`
+        <div class="codedao-span">
+          <div class="codedao-span-label" style="padding-left: ${span.depth * 16}px">
+            ${renderIcon(status.icon, { color: status.color })}
+            <span class="codedao-agent-name" style="color: ${agent.textColor}">${agent.name}</span>
+            <span class="codedao-span-action">${span.activity.action}</span>
+          </div>
+          <div class="codedao-span-track">
+            <div class="codedao-span-bar" style="left: ${offset}%; width: ${width}%; background-color: ${agent.bgColor}"></div>
+            <span class="codedao-span-duration">${duration != null ? `${duration}ms` : ''}</span>
+          </div>
         </div>
       `;
-    }
-    
-    if (metadata.duration) {
-      metadataHTML += `
-        <div class="codedao-metadata-item">
-          <i class="fas fa-clock"></i>
-          <span>${metadata.duration}ms</span>
+    });
+
+    return html`
+      <div class="codedao-trace">
+        <div class="codedao-trace-header">
+          <span class="codedao-trace-title">${root.action}</span>
+          <span class="codedao-timestamp">${spans.length} steps · ${end - start}ms · ${this.formatTimestamp(new Date(root.timestamp))}</span>
         </div>
+        ${rowsHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the agent handoff graph as an inline SVG
+   * @param {Array} scoped - Activities within the instance filters (optional)
+   */
+  renderNetwork(scoped = this.getScopedActivities()) {
+    const networkSection = this.find('.codedao-network');
+    const graphContainer = this.find('.codedao-network-graph');
+    if (!networkSection || !graphContainer) return;
+
+    const graph = buildCollaborationGraph(scoped);
+
+    // Hide the section until at least one handoff has been recorded
+    networkSection.style.display = graph.edges.length ? '' : 'none';
+    if (!graph.edges.length) return;
+
+    const width = 400;
+    const height = 300;
+    const nodeRadius = 18;
+    const layoutRadius = graph.nodes.length > 1 ? 110 : 0;
+    const maxWeight = Math.max(...graph.edges.map(edge => edge.weight));
+    const markerId = `codedao-network-arrow-${this.instanceId}`;
+
+    // Place agents evenly on a circle
+    const positions = new Map();
+    graph.nodes.forEach((node, index) => {
+      const angle = (2 * Math.PI * index) / graph.nodes.length - Math.PI / 2;
+      positions.set(node.agent, {
+        x: width / 2 + layoutRadius * Math.cos(angle),
+        y: height / 2 + layoutRadius * Math.sin(angle)
+      });
+    });
+
+    const edgesHTML = graph.edges.map(edge => {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const ux = dx / length;
+      const uy = dy / length;
+
+      // Offset sideways so A->B and B->A don't overlap
+      const ox = -uy * 6;
+      const oy = ux * 6;
+      const x1 = from.x + ux * nodeRadius + ox;
+      const y1 = from.y + uy * nodeRadius + oy;
+      const x2 = to.x - ux * (nodeRadius + 4) + ox;
+      const y2 = to.y - uy * (nodeRadius + 4) + oy;
+      const strokeWidth = 1 + (4 * edge.weight) / maxWeight;
+
+      return html`
+        <g class="codedao-network-edge">
+          <title>${edge.from} → ${edge.to}: ${edge.weight} handoffs</title>
+          <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" class="codedao-network-line" stroke="#9ca3af" stroke-width="${strokeWidth}" marker-end="url(#${markerId})"></line>
+          <text x="${(x1 + x2) / 2 + ox}" y="${(y1 + y2) / 2 + oy}" class="codedao-network-weight">${edge.weight}</text>
+        </g>
       `;
-    }
+    });
 
-    return metadataHTML ? `<div class="codedao-metadata">${metadataHTML}</div>` : '';
+    const nodesHTML = graph.nodes.map(node => {
+      const agentConf = getAgentConfig(node.agent);
+      const { x, y } = positions.get(node.agent);
+
+      return html`
+        <g class="codedao-network-node">
+          <title>${node.agent}: ${node.activities} activities</title>
+          <circle cx="${x}" cy="${y}" r="${nodeRadius}" fill="${agentConf.bgColor}"></circle>
+          <text x="${x}" y="${y + 4}" class="codedao-network-icon">${agentConf.icon}</text>
+          <text x="${x}" y="${y + nodeRadius + 14}" class="codedao-network-label">${agentConf.name}</text>
+        </g>
+      `;
+    });
+
+    graphContainer.innerHTML = html`
+      <svg viewBox="0 0 ${width} ${height}" class="codedao-network-svg" role="img" aria-label="Agent collaboration network">
+        <defs>
+          <marker id="${markerId}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" class="codedao-network-arrowhead" fill="#9ca3af"></path>
+          </marker>
+        </defs>
+        ${edgesHTML}
+        ${nodesHTML}
+      </svg>
+    `;
   }
 
   /**
    * Render statistics
+   * @param {Object} stats - getStatistics() result
+   * @param {Array} stored - Stored activities, when already read (optional)
    */
-  renderStats(stats) {
-    const totalElement = document.getElementById('codedao-total-activities');
+  renderStats(stats, stored = AgentLogger.getActivities()) {
+    const analytics = AgentLogger.getAnalytics({
+      bucket: this.options.analyticsBucket,
+      buckets: this.options.analyticsBuckets,
+      filters: this.options.filters,
+      activities: stored
+    });
+    const counts = timeline => timeline.map(bucket => bucket.count);
+
+    const totalElement = this.find('.codedao-total-activities');
     if (totalElement) {
       totalElement.querySelector('.codedao-stat-number').textContent = stats.total;
+      totalElement.querySelector('.codedao-stat-trend').innerHTML =
+        html`${raw(sparkline(counts(analytics.timeline), { width: 100, color: 'currentColor' }))}`;
     }
 
-    const agentsStatsElement = document.getElementById('codedao-agents-stats');
+    const agentsStatsElement = this.find('.codedao-agents-stats');
     if (agentsStatsElement) {
       const agentsHTML = Object.entries(stats.byAgent).map(([agent, count]) => {
-        const agentConf = agentConfig[agent] || agentConfig['Claude'];
-        return `
+        const agentConf = getAgentConfig(agent);
+        const agentAnalytics = analytics.byAgent[agent]; // Missing when all of the agent's activities were rolled up
+        return html`
           <div class="codedao-agent-stat">
             <div class="codedao-agent-avatar" style="background-color: ${agentConf.bgColor}">
               ${agentConf.icon}
             </div>
             <div class="codedao-agent-info">
-              <span class="codedao-agent-name">${agent}</span>
+              <span class="codedao-agent-name">${agentConf.name}</span>
               <span class="codedao-agent-count">${count}</span>
+              <span class="codedao-agent-rate">${agentAnalytics ? `${Math.round(agentAnalytics.successRate * 100)}% success` : 'Compacted'}</span>
             </div>
+            ${agentAnalytics ? raw(sparkline(counts(agentAnalytics.timeline), { width: 80, height: 24, color: agentConf.bgColor })) : ''}
           </div>
         `;
-      }).join('');
+      });
       
-      agentsStatsElement.innerHTML = agentsHTML;
+      agentsStatsElement.innerHTML = html`${agentsHTML}`;
     }
+
+    const analyticsElement = this.find('.codedao-analytics');
+    if (analyticsElement) {
+      analyticsElement.innerHTML = this.createAnalyticsHTML(analytics);
+    }
+  }
+
+  /**
+   * Create the charts shown below the stats header
+   */
+  createAnalyticsHTML(analytics) {
+    return analyticsHTML(analytics);
   }
 
   /**
    * Update filter options
    */
   updateFilters(stats) {
-    // Update agent filter
-    const filterAgent = document.getElementById('codedao-filter-agent');
-    if (filterAgent) {
-      const currentValue = filterAgent.value;
-      filterAgent.innerHTML = '<option value="">All Agents</option>' +
-        Object.keys(stats.byAgent).map(agent => 
-          `<option value="${agent}" ${currentValue === agent ? 'selected' : ''}>${agent}</option>`
-        ).join('');
-    }
+    this.setFilterOptions('agent', 'All Agents', Object.keys(stats.byAgent).map(agent => [agent, getAgentConfig(agent).name]));
+    this.setFilterOptions('type', 'All Types', Object.keys(stats.byType).map(type => [type, typeConfig[type]?.label || type]));
+    this.setFilterOptions('status', 'All Status', Object.keys(stats.byStatus).map(status => [status, statusConfig[status]?.label || status]));
+    this.setFilterOptions('tag', 'All Tags', Object.keys(stats.byTag).map(tag => [tag, tag]));
+  }
 
-    // Update type filter
-    const filterType = document.getElementById('codedao-filter-type');
-    if (filterType) {
-      const currentValue = filterType.value;
-      filterType.innerHTML = '<option value="">All Types</option>' +
-        Object.keys(stats.byType).map(type => 
-          `<option value="${type}" ${currentValue === type ? 'selected' : ''}>${type}</option>`
-        ).join('');
-    }
+  /**
+   * Replace a filter's options, skipping the rebuild when they haven't changed
+   * @param {string} id - Filter id suffix (e.g., 'agent')
+   * @param {string} allLabel - Label of the empty "all" option
+   * @param {Array} entries - [value, label] pairs
+   */
+  setFilterOptions(id, allLabel, entries) {
+    const select = this.find(`.codedao-filter-${id}`);
+    if (!select) return;
 
-    // Update status filter
-    const filterStatus = document.getElementById('codedao-filter-status');
-    if (filterStatus) {
-      const currentValue = filterStatus.value;
-      filterStatus.innerHTML = '<option value="">All Status</option>' +
-        Object.keys(stats.byStatus).map(status => 
-          `<option value="${status}" ${currentValue === status ? 'selected' : ''}>${status}</option>`
-        ).join('');
-    }
+    const signature = JSON.stringify(entries);
+    if (this.filterSignatures[id] === signature) return;
+    this.filterSignatures[id] = signature;
+
+    const currentValue = select.value;
+    select.innerHTML = html`<option value="">${allLabel}</option>${
+      entries.map(([value, label]) =>
+        html`<option value="${value}" ${currentValue === value ? 'selected' : ''}>${label}</option>`
+      )
+    }`;
   }
 
   /**
    * Format timestamp to relative time
    */
   formatTimestamp(timestamp) {
-    const now = new Date();
-    const diff = Math.floor((now - timestamp) / 1000);
-    
-    if (diff < 60) return `${diff}s ago`;
-    if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
-    if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
-    return `${Math.floor(diff / 86400)}d ago`;
+    return relativeTime(timestamp);
   }
 
   /**
    * Inject CSS styles for the dashboard
    */
   injectCSS() {
-    if (document.getElementById('codedao-dashboard-styles')) return;
-
-    const styles = `
-      <style id="codedao-dashboard-styles">
-        .codedao-dashboard {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          background: #f9fafb;
-          border-radius: 8px;
-          overflow: hidden;
-        }
-        
-        .codedao-stats {
-          display: flex;
-          gap: 1rem;
-          padding: 1rem;
-          background: white;
-          border-bottom: 1px solid #e5e7eb;
-        }
-        
-        .codedao-stat-item {
-          text-align: center;
-          padding: 1rem;
-          background: #f3f4f6;
-          border-radius: 6px;
-          min-width: 100px;
-        }
-        
-        .codedao-stat-number {
-          font-size: 2rem;
-          font-weight: bold;
-          color: #1f2937;
-        }
-        
-        .codedao-stat-label {
-          font-size: 0.875rem;
-          color: #6b7280;
-        }
-        
-        .codedao-agents-stats {
-          display: flex;
-          gap: 1rem;
-          flex: 1;
-        }
-        
-        .codedao-agent-stat {
-          display: flex;
-          align-items: center;
-          gap: 0.5rem;
-          padding: 0.5rem 1rem;
-          background: white;
-          border-radius: 6px;
-          border: 1px solid #e5e7eb;
-        }
-        
-        .codedao-filters {
-          display: flex;
-          gap: 1rem;
-          padding: 1rem;
-          background: white;
-          border-bottom: 1px solid #e5e7eb;
-        }
-        
-        .codedao-filters select,
-        .codedao-filters button {
-          padding: 0.5rem;
-          border: 1px solid #d1d5db;
-          border-radius: 4px;
-          background: white;
-        }
-        
-        .codedao-activities {
-          background: white;
-        }
-        
-        .codedao-activities-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 1rem;
-          border-bottom: 1px solid #e5e7eb;
-        }
-        
-        .codedao-activities-header h3 {
-          margin: 0;
-          font-size: 1.125rem;
-          font-weight: 600;
-          color: #1f2937;
-        }
-        
-        .codedao-status {
-          display: flex;
-          align-items: center;
-          gap: 0.5rem;
-          font-size: 0.875rem;
-          color: #6b7280;
-        }
-        
-        .codedao-indicator {
-          width: 8px;
-          height: 8px;
-          background: #10b981;
-          border-radius: 50%;
-          animation: pulse 2s infinite;
-        }
-        
-        @keyframes pulse {
-          0%, 100% { opacity: 1; }
-          50% { opacity: 0.5; }
-        }
-        
-        .codedao-activities-list {
-          max-height: 500px;
-          overflow-y: auto;
-        }
-        
-        .codedao-activity-item {
-          padding: 1rem;
-          border-bottom: 1px solid #f3f4f6;
-          border-left: 4px solid #e5e7eb;
-          transition: background-color 0.2s;
-        }
-        
-        .codedao-activity-item:hover {
-          background: #f9fafb;
-        }
-        
-        .codedao-activity-header {
-          display: flex;
-          align-items: center;
-          gap: 0.75rem;
-          margin-bottom: 0.5rem;
-        }
-        
-        .codedao-agent-avatar {
-          width: 32px;
-          height: 32px;
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          color: white;
-          font-weight: bold;
-          font-size: 0.875rem;
-        }
-        
-        .codedao-activity-meta {
-          display: flex;
-          align-items: center;
-          gap: 0.5rem;
-          flex: 1;
-        }
-        
-        .codedao-agent-name {
-          font-weight: 600;
-        }
-        
-        .codedao-activity-icons {
-          display: flex;
-          gap: 0.25rem;
-        }
-        
-        .codedao-timestamp {
-          font-size: 0.75rem;
-          color: #9ca3af;
-        }
-        
-        .codedao-activity-action {
-          margin: 0 0 0.5rem 0;
-          color: #1f2937;
-          font-weight: 500;
-        }
-        
-        .codedao-metadata {
-          display: flex;
-          gap: 1rem;
-          flex-wrap: wrap;
-        }
-        
-        .codedao-metadata-item {
-          display: flex;
-          align-items: center;
-          gap: 0.25rem;
-          font-size: 0.75rem;
-          color: #6b7280;
-          background: #f3f4f6;
-          padding: 0.25rem 0.5rem;
-          border-radius: 4px;
-        }
-        
-        .codedao-empty-state {
-          text-align: center;
-          padding: 3rem 1rem;
-          color: #6b7280;
-        }
-        
-        .codedao-empty-icon {
-          font-size: 3rem;
-          margin-bottom: 1rem;
-        }
-        
-        .codedao-empty-state h4 {
-          margin: 0 0 0.5rem 0;
-          color: #374151;
-        }
-        
-        .codedao-empty-state p {
-          margin: 0;
-        }
-      </style>
-    `;
+    // Styles don't cross shadow boundaries, so dashboards in a shadow root get their own copy
+    const root = this.container.getRootNode ? this.container.getRootNode() : document;
+    const target = root.host ? root : document.head;
+    if (target.querySelector('#codedao-dashboard-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'codedao-dashboard-styles';
+    style.textContent = dashboardStyles;
     
-    document.head.insertAdjacentHTML('beforeend', styles);
+    target.appendChild(style);
   }
 
   /**
@@ -605,14 +1171,60 @@ export class Dashboard {
    */
   destroy() {
     this.stopAutoRefresh();
+    clearTimeout(this.searchTimer);
+    clearTimeout(this.panelTimer);
+    this.panelTimer = null;
+    if (this.listFrame) cancelFrame(this.listFrame);
+    this.listFrame = null;
+    
+    if (this.collector) {
+      this.collector.disconnect();
+      this.collector = null;
+    }
     
     // Remove event listeners
-    window.removeEventListener('codedao:activity', this.renderActivities);
-    window.removeEventListener('codedao:cleared', this.renderActivities);
+    window.removeEventListener('codedao:activity', this.handleActivity);
+    window.removeEventListener('codedao:cleared', this.handleReplaced);
+    window.removeEventListener('codedao:imported', this.handleReplaced);
+    window.removeEventListener('codedao:compacted', this.handleReplaced);
+    window.removeEventListener('codedao:updated', this.handleUpdated);
+
+    const listContainer = this.find('.codedao-activities-list');
+    if (listContainer) {
+      listContainer.removeEventListener('scroll', this.handleScroll);
+      listContainer.removeEventListener('click', this.handleClick);
+    }
+
+    const drawer = this.find('.codedao-drawer');
+    if (drawer) {
+      drawer.removeEventListener('click', this.handleDrawerClick);
+      drawer.removeEventListener('keydown', this.handleDrawerKeydown);
+    }
+
+    const alerts = this.find('.codedao-alerts');
+    if (alerts) {
+      alerts.removeEventListener('click', this.handleAlertClick);
+    }
+
+    if (this.unsubscribeAlerts) {
+      this.unsubscribeAlerts();
+      this.unsubscribeAlerts = null;
+    }
+
+    // Engines passed in by the caller may be shared, so only stop our own
+    if (this.alertEngine && this.alertEngine !== this.options.alerts) {
+      this.alertEngine.stop();
+    }
+    this.alertEngine = null;
     
     // Clear container
     if (this.container) {
       this.container.innerHTML = '';
     }
+    this.activities = [];
+    this.detailActivity = null;
+    this.detailHistory = [];
+    this.integrity = null;
+    this.integrityCheckedAt = 0;
   }
 }
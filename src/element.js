@@ -0,0 +1,128 @@
+import { Dashboard } from './dashboard.js';
+
+/**
+ * Attributes of <codedao-dashboard> and how they map to Dashboard options
+ */
+const ATTRIBUTES = {
+  'max-activities': (value, options) => {
+    options.maxActivities = value === 'all' ? null : parseInt(value, 10) || 50;
+  },
+  'show-stats': (value, options) => {
+    options.showStats = parseBoolean(value);
+  },
+  'show-filters': (value, options) => {
+    options.showFilters = parseBoolean(value);
+  },
+  'show-traces': (value, options) => {
+    options.showTraces = parseBoolean(value);
+  },
+  'show-network': (value, options) => {
+    options.showNetwork = parseBoolean(value);
+  },
+  'show-integrity': (value, options) => {
+    options.showIntegrity = parseBoolean(value);
+  },
+  'theme': (value, options) => {
+    options.theme = value;
+  },
+  'refresh-interval': (value, options) => {
+    const interval = parseInt(value, 10);
+    options.autoRefresh = interval > 0;
+    if (interval > 0) options.refreshInterval = interval;
+  },
+  'agent': (value, options) => {
+    if (value) options.filters = { agent: value };
+  },
+  'collector-url': (value, options) => {
+    options.collectorUrl = value || null;
+  }
+};
+
+/**
+ * Boolean attributes are on when present, unless set to "false" or "0"
+ */
+function parseBoolean(value) {
+  return value !== 'false' && value !== '0';
+}
+
+/**
+ * Register the <codedao-dashboard> custom element
+ *
+ *   <codedao-dashboard theme="dark" max-activities="100" agent="Claude"></codedao-dashboard>
+ *
+ * The dashboard renders into a shadow root, so its styles neither leak into
+ * nor inherit from the host page. Row clicks are dispatched from the element
+ * as `codedao:activity-click` events with `detail.activity`.
+ *
+ * @param {string} tagName - Element name (default 'codedao-dashboard')
+ * @returns {Function|null} The element class, or null outside browsers
+ */
+export function defineDashboardElement(tagName = 'codedao-dashboard') {
+  if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') return null;
+
+  const existing = customElements.get(tagName);
+  if (existing) return existing;
+
+  class CodeDAODashboardElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(ATTRIBUTES);
+    }
+
+    constructor() {
+      super();
+      this.dashboard = null;
+      this.attachShadow({ mode: 'open' });
+    }
+
+    /**
+     * Dashboard options built from the current attributes
+     * @returns {Object} Dashboard options
+     */
+    getOptions() {
+      const options = {};
+      Object.entries(ATTRIBUTES).forEach(([name, apply]) => {
+        if (this.hasAttribute(name)) apply(this.getAttribute(name), options);
+      });
+      return options;
+    }
+
+    connectedCallback() {
+      this.mount();
+    }
+
+    disconnectedCallback() {
+      this.unmount();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.dashboard || oldValue === newValue) return;
+
+      // Themes can be swapped in place; everything else needs a fresh dashboard
+      if (name === 'theme') {
+        this.dashboard.setTheme(newValue || 'light');
+      } else {
+        this.mount();
+      }
+    }
+
+    mount() {
+      this.unmount();
+
+      this.shadowRoot.innerHTML = '<style>:host { display: block; }</style><div></div>';
+      this.dashboard = new Dashboard(this.shadowRoot.lastElementChild, this.getOptions());
+    }
+
+    unmount() {
+      if (this.dashboard) {
+        this.dashboard.destroy();
+        this.dashboard = null;
+      }
+    }
+  }
+
+  customElements.define(tagName, CodeDAODashboardElement);
+  return CodeDAODashboardElement;
+}
+
+// Available as <codedao-dashboard> as soon as the SDK is loaded
+defineDashboardElement();
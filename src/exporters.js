@@ -0,0 +1,152 @@
+import { renderStaticHTML } from './report.js';
+import { dashboardStyles } from './styles.js';
+import { escapeHTML } from './html.js';
+
+/**
+ * Activity exporters
+ * Each exporter takes an array of activities (newest first) and returns a string.
+ */
+
+const BASE_COLUMNS = ['id', 'timestamp', 'agent', 'action', 'type', 'status', 'traceId', 'parentId'];
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * Angle brackets are escaped too, since Markdown renderers pass raw HTML through.
+ */
+function markdownCell(value) {
+  return escapeHTML(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Pretty-printed JSON array
+ * @param {Array} activities - Activities to export
+ * @returns {string} JSON
+ */
+export function toJSON(activities) {
+  return JSON.stringify(activities, null, 2);
+}
+
+/**
+ * Newline-delimited JSON, one activity per line, oldest first
+ * @param {Array} activities - Activities to export
+ * @returns {string} NDJSON
+ */
+export function toNDJSON(activities) {
+  return activities
+    .slice()
+    .reverse()
+    .map(activity => JSON.stringify(activity) + '\n')
+    .join('');
+}
+
+/**
+ * CSV with one `metadata.<key>` column per metadata key in the export
+ * @param {Array} activities - Activities to export
+ * @returns {string} CSV
+ */
+export function toCSV(activities) {
+  const metadataKeys = new Set();
+  activities.forEach(activity => {
+    Object.keys(activity.metadata || {}).forEach(key => metadataKeys.add(key));
+  });
+
+  const metadataColumns = Array.from(metadataKeys).sort();
+  const header = [...BASE_COLUMNS, ...metadataColumns.map(key => `metadata.${key}`)];
+
+  const rows = activities.map(activity => [
+    ...BASE_COLUMNS.map(column => csvField(activity[column])),
+    ...metadataColumns.map(key => csvField(activity.metadata?.[key]))
+  ].join(','));
+
+  return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Markdown summary suitable for PR descriptions
+ * @param {Array} activities - Activities to export
+ * @param {Object} options - { title }
+ * @returns {string} Markdown
+ */
+export function toMarkdown(activities, options = {}) {
+  const { title = 'AI Activity Summary' } = options;
+  const count = (key) => {
+    const counts = {};
+    activities.forEach(activity => {
+      counts[activity[key]] = (counts[activity[key]] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  };
+
+  const lines = [`## ${title}`, ''];
+
+  if (!activities.length) {
+    lines.push('_No AI activity recorded._', '');
+    return lines.join('\n');
+  }
+
+  const times = activities.map(activity => activity.timestamp).sort();
+  lines.push(`**${activities.length}** activities from ${times[0]} to ${times[times.length - 1]}.`, '');
+
+  lines.push('| Agent | Activities |', '| --- | ---: |');
+  count('agent').forEach(([agent, total]) => lines.push(`| ${markdownCell(agent)} | ${total} |`));
+  lines.push('');
+
+  lines.push(`**By status:** ${count('status').map(([status, total]) => `${status} ${total}`).join(' · ')}`, '');
+
+  lines.push('| Time | Agent | Type | Status | Action |', '| --- | --- | --- | --- | --- |');
+  activities.forEach(activity => {
+    const commit = activity.metadata?.commitHash ? ` (\`${activity.metadata.commitHash}\`)` : '';
+    lines.push(`| ${activity.timestamp} | ${markdownCell(activity.agent)} | ${activity.type} | ${activity.status} | ${markdownCell(activity.action)}${commit} |`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Self-contained HTML report with the dashboard rendering and the raw data
+ * @param {Array} activities - Activities to export
+ * @param {Object} options - { title, theme }
+ * @returns {string} HTML document
+ */
+export function toHTML(activities, options = {}) {
+  const { title = 'AI Activity Report' } = options;
+  const data = JSON.stringify(activities).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHTML(title)}</title>
+  <style id="codedao-dashboard-styles">${dashboardStyles}</style>
+</head>
+<body>
+  ${renderStaticHTML(activities, options)}
+  <script type="application/json" id="codedao-activities-data">${data}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exporters by format name
+ */
+export const exporters = {
+  json: toJSON,
+  ndjson: toNDJSON,
+  csv: toCSV,
+  markdown: toMarkdown,
+  html: toHTML
+};
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { threadId } from 'worker_threads';
+
+/**
+ * Blocks the thread between lock attempts
+ */
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * FileAdapter - Node.js backend that keeps each record set in a JSONL file.
+ * Records are written oldest first, one JSON document per line, so the files
+ * can be tailed or shipped to log pipelines directly.
+ *
+ * Processes and worker threads sharing a directory take turns through a lock
+ * file (see transaction()). This is meant for a handful of writers on one
+ * machine; many writers, or writers on several hosts, should send their
+ * activities to a Collector instead.
+ */
+export class FileAdapter {
+  /**
+   * @param {string} directory - Directory holding the `<name>.jsonl` files
+   * @param {Object} options - { staleLock: ms after which a left-over lock file is broken }
+   */
+  constructor(directory = '.codedao', options = {}) {
+    this.directory = directory;
+    this.staleLock = options.staleLock ?? 10000;
+    this.locked = false;
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Resolve the file path for a record set
+   * @param {string} name - Record set name
+   * @returns {string} Absolute file path
+   */
+  filePath(name) {
+    return path.resolve(this.directory, `${name}.jsonl`);
+  }
+
+  read(name) {
+    const file = this.filePath(name);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .reverse();
+  }
+
+  write(name, records) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const file = this.filePath(name);
+    const temp = `${file}.${process.pid}.${threadId}.tmp`;
+    const lines = records.slice().reverse().map(record => JSON.stringify(record));
+
+    // Write a temporary file and rename it over the old one, so a crash
+    // mid-write never leaves a truncated store behind
+    fs.writeFileSync(temp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(temp, file);
+  }
+
+  remove(name) {
+    const file = this.filePath(name);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+
+  /**
+   * Run a read-modify-write while holding the directory's lock file, so
+   * concurrent writers don't overwrite each other's records
+   * @param {Function} callback - Reads and writes the store
+   * @returns {*} The callback's return value
+   */
+  transaction(callback) {
+    if (this.locked) return callback();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const lock = path.resolve(this.directory, '.lock');
+
+    let handle;
+    while (handle === undefined) {
+      try {
+        handle = fs.openSync(lock, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        if (this.isStale(lock)) {
+          fs.rmSync(lock, { force: true });
+        } else {
+          Atomics.wait(sleeper, 0, 0, 5);
+        }
+      }
+    }
+
+    this.locked = true;
+    try {
+      return callback();
+    } finally {
+      this.locked = false;
+      fs.closeSync(handle);
+      fs.rmSync(lock, { force: true });
+    }
+  }
+
+  /**
+   * Whether a lock file was left behind by a writer that died holding it
+   * @param {string} lock - Lock file path
+   * @returns {boolean} True if the lock is older than the staleLock option
+   */
+  isStale(lock) {
+    try {
+      return Date.now() - fs.statSync(lock).mtimeMs > this.staleLock;
+    } catch (error) {
+      return false; // Released while we looked
+    }
+  }
+}
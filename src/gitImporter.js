@@ -0,0 +1,162 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { AgentLogger } from './agentLogger.js';
+import { CommitIngester, parseTrailers } from './commitIngest.js';
+
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+
+/**
+ * GitImporter - Backfills activity history from a local git repository.
+ * Reads `git log` (messages, trailers, file stats and branches) and turns
+ * each commit into an activity using the same attribution rules as
+ * CommitIngester.
+ */
+export class GitImporter {
+  constructor(options = {}) {
+    this.options = {
+      cwd: process.cwd(),
+      repository: null, // Defaults to owner/repo from the origin remote
+      allBranches: false, // Walk every local and remote branch
+      since: null, // Anything `git log --since` accepts
+      until: null,
+      maxCount: null,
+      ...options
+    };
+
+    this.ingester = new CommitIngester({
+      ...this.options,
+      repository: this.options.repository || this.detectRepository()
+    });
+  }
+
+  /**
+   * Run a git command in the repository
+   * @param {Array<string>} args - git arguments
+   * @returns {string} Standard output
+   */
+  git(args) {
+    return execFileSync('git', args, {
+      cwd: this.options.cwd,
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  }
+
+  /**
+   * Derive a repository name from the origin remote or the directory name
+   * @returns {string} Repository name
+   */
+  detectRepository() {
+    try {
+      const remote = this.git(['config', '--get', 'remote.origin.url']).trim();
+      const match = remote.match(/[/:]([^/:]+\/[^/]+?)(?:\.git)?$/);
+      if (match) return match[1];
+    } catch (error) {
+      // No origin remote configured
+    }
+    return path.basename(path.resolve(this.options.cwd));
+  }
+
+  /**
+   * Read commits from `git log`, newest first
+   * @returns {Array} Normalized commits with `files`, `branch` and `trailers`
+   */
+  readCommits() {
+    const args = [
+      'log',
+      `--format=${RECORD}%H${FIELD}%an${FIELD}%ae${FIELD}%aI${FIELD}%S${FIELD}%B${FIELD}`,
+      '--numstat',
+      '--source'
+    ];
+
+    if (this.options.allBranches) args.push('--all');
+    if (this.options.since) args.push(`--since=${this.options.since}`);
+    if (this.options.until) args.push(`--until=${this.options.until}`);
+    if (this.options.maxCount) args.push(`--max-count=${this.options.maxCount}`);
+
+    const currentBranch = this.git(['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+
+    return this.git(args)
+      .split(RECORD)
+      .filter(chunk => chunk.trim())
+      .map(chunk => {
+        const [sha, authorName, authorEmail, date, source, message, stats = ''] = chunk.split(FIELD);
+
+        const files = stats
+          .split('\n')
+          .map(line => line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/))
+          .filter(Boolean)
+          .map(([, additions, deletions, filePath]) => ({
+            path: filePath,
+            additions: additions === '-' ? 0 : Number(additions),
+            deletions: deletions === '-' ? 0 : Number(deletions)
+          }));
+
+        const branch = this.options.allBranches
+          ? source.replace(/^refs\/(heads|remotes|tags)\//, '')
+          : currentBranch;
+
+        return {
+          sha,
+          message: message.trim(),
+          authorName,
+          authorEmail,
+          date,
+          branch,
+          files,
+          trailers: parseTrailers(message)
+        };
+      });
+  }
+
+  /**
+   * Convert a commit read by readCommits() into an activity
+   * @param {Object} commit - Commit from readCommits()
+   * @returns {Object} Activity object
+   */
+  toActivity(commit) {
+    const changes = file => file.additions + file.deletions;
+    const primaryFile = commit.files.slice().sort((a, b) => changes(b) - changes(a))[0];
+    const coAuthors = commit.trailers
+      .filter(trailer => trailer.key.toLowerCase() === 'co-authored-by')
+      .map(trailer => trailer.value);
+
+    const metadata = {
+      branch: commit.branch,
+      files: commit.files,
+      additions: commit.files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: commit.files.reduce((sum, file) => sum + file.deletions, 0)
+    };
+
+    if (primaryFile) metadata.filePath = primaryFile.path;
+    if (coAuthors.length) metadata.coAuthors = coAuthors;
+
+    return this.ingester.toActivity(commit, metadata);
+  }
+
+  /**
+   * Import the repository history into AgentLogger
+   * Activities already in the store (by id) are kept; the result is
+   * merged, ordered newest first and trimmed by the retention policy.
+   * @returns {Object} Import report from AgentLogger.importActivities
+   */
+  import() {
+    const { includeHumans, fallbackAgent } = this.ingester.options;
+    const activities = this.readCommits()
+      .map(commit => this.toActivity(commit))
+      .filter(activity => includeHumans || activity.agent !== fallbackAgent);
+
+    return AgentLogger.importActivities(activities, { strategy: 'append' });
+  }
+}
+
+/**
+ * Backfill AgentLogger from a local repository
+ * @param {Object} options - GitImporter options (cwd, allBranches, since, ...)
+ * @returns {Object} Import report from AgentLogger.importActivities
+ */
+export function importGitHistory(options = {}) {
+  return new GitImporter(options).import();
+}
@@ -0,0 +1,83 @@
+/**
+ * Safe HTML templating
+ * Every value interpolated into an `html` template is escaped unless it is
+ * itself the result of an `html` template (or explicitly marked with `raw`).
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/**
+ * Markup that is already safe to insert into the document
+ */
+export class SafeHTML {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escape a value for use in element content or a quoted attribute
+ * @param {*} value - Value to escape (null and undefined become '')
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[&<>"'`]/g, char => ENTITIES[char]);
+}
+
+/**
+ * Mark trusted markup (e.g., SDK-generated SVG) as safe
+ * @param {string} markup - Trusted markup
+ * @returns {SafeHTML}
+ */
+export function raw(markup) {
+  return new SafeHTML(markup === undefined || markup === null ? '' : String(markup));
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHTML) return value.markup;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === false) return '';
+  return escapeHTML(value);
+}
+
+/**
+ * Tagged template that escapes interpolated values
+ * Arrays are rendered item by item, so `${items.map(item => html`...`)}` works.
+ * @returns {SafeHTML}
+ */
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHTML(markup);
+}
+
+/**
+ * Validate a URL before it is used as a link
+ * @param {string} url - Untrusted URL
+ * @param {Array<string>} protocols - Allowed protocols
+ * @returns {string|null} Normalized URL, or null if it is not absolute or not allowed
+ */
+export function safeUrl(url, protocols = ['http:', 'https:']) {
+  if (typeof url !== 'string') return null;
+
+  try {
+    const parsed = new URL(url.trim());
+    return protocols.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
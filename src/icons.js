@@ -0,0 +1,94 @@
+import { html, raw } from './html.js';
+
+/**
+ * Inline SVG icon set
+ * 24x24 stroke icons drawn with `currentColor`, so the dashboard needs no
+ * icon font. Values are the inner markup of the <svg> element.
+ */
+export const icons = {
+  'check-circle': '<circle cx="12" cy="12" r="10"/><path d="M8 12l3 3 5-6"/>',
+  'spinner': '<path d="M12 2a10 10 0 1 0 10 10"/>',
+  'alert-triangle': '<path d="M12 3L2 21h20L12 3z"/><path d="M12 10v4"/><path d="M12 18h.01"/>',
+  'alert-circle': '<circle cx="12" cy="12" r="10"/><path d="M12 7v6"/><path d="M12 17h.01"/>',
+  'info': '<circle cx="12" cy="12" r="10"/><path d="M12 11v6"/><path d="M12 7h.01"/>',
+  'git-branch': '<circle cx="6" cy="5" r="2"/><circle cx="6" cy="19" r="2"/><circle cx="18" cy="7" r="2"/><path d="M6 7v10"/><path d="M18 9c0 5-12 3-12 8"/>',
+  'search': '<circle cx="11" cy="11" r="7"/><path d="M21 21l-5-5"/>',
+  'bug': '<rect x="8" y="6" width="8" height="14" rx="4"/><path d="M12 10v10"/><path d="M4 13h4M16 13h4M5 7l3 2M19 7l-3 2M5 19l3-2M19 19l-3-2"/>',
+  'check-double': '<path d="M2 12l5 5L17 7"/><path d="M12 16l1 1L23 7"/>',
+  'eye': '<path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12z"/><circle cx="12" cy="12" r="3"/>',
+  'file': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/>',
+  'file-text': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M14 2v6h6"/><path d="M8 13h8M8 17h8"/>',
+  'shield': '<path d="M12 2l8 3v7c0 5-3.5 8.5-8 10-4.5-1.5-8-5-8-10V5z"/>',
+  'gauge': '<path d="M4 18a9 9 0 1 1 16 0"/><path d="M12 14l4-5"/>',
+  'code': '<path d="M8 6l-6 6 6 6"/><path d="M16 6l6 6-6 6"/>',
+  'rocket': '<path d="M5 15c-1.5 1.5-2 5-2 5s3.5-.5 5-2"/><path d="M9 15l-3-3c2-6 7-9 14-9 0 7-3 12-9 14z"/><circle cx="15" cy="9" r="2"/>',
+  'message': '<path d="M21 12a8 8 0 0 1-11.6 7.1L3 21l1.9-6.4A8 8 0 1 1 21 12z"/>',
+  'clock': '<circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/>',
+  'link': '<path d="M10 14a5 5 0 0 0 7 0l3-3a5 5 0 0 0-7-7l-1 1"/><path d="M14 10a5 5 0 0 0-7 0l-3 3a5 5 0 0 0 7 7l1-1"/>'
+};
+
+/**
+ * Font Awesome classes used by earlier releases, mapped to bundled icons
+ */
+const fontAwesomeAliases = {
+  'fa-check-circle': 'check-circle',
+  'fa-spinner': 'spinner',
+  'fa-exclamation-triangle': 'alert-triangle',
+  'fa-exclamation-circle': 'alert-circle',
+  'fa-info-circle': 'info',
+  'fa-code-branch': 'git-branch',
+  'fa-search': 'search',
+  'fa-bug': 'bug',
+  'fa-check-double': 'check-double',
+  'fa-eye': 'eye',
+  'fa-file': 'file',
+  'fa-file-alt': 'file-text',
+  'fa-shield-alt': 'shield',
+  'fa-tachometer-alt': 'gauge',
+  'fa-code': 'code',
+  'fa-rocket': 'rocket',
+  'fa-comments': 'message',
+  'fa-clock': 'clock',
+  'fa-link': 'link'
+};
+
+/**
+ * Add or replace an icon
+ * @param {string} name - Icon name used in typeConfig/statusConfig
+ * @param {string} markup - Trusted inner SVG markup for a 24x24 viewBox
+ */
+export function registerIcon(name, markup) {
+  icons[name] = markup;
+}
+
+/**
+ * Resolve an icon name or Font Awesome class list to a bundled icon
+ * @param {string} icon - Icon name or class list
+ * @returns {string|null} Bundled icon name, or null if there is none
+ */
+export function resolveIcon(icon) {
+  if (!icon) return null;
+  if (icons[icon]) return icon;
+
+  const alias = String(icon).split(/\s+/).find(name => fontAwesomeAliases[name]);
+  return alias ? fontAwesomeAliases[alias] : null;
+}
+
+/**
+ * Render an icon as inline SVG
+ * Unknown class lists fall back to an <i> element for the host page's icon font.
+ * @param {string} icon - Icon name (see `icons`) or class list
+ * @param {Object} options - { color }
+ * @returns {SafeHTML} Icon markup
+ */
+export function renderIcon(icon, options = {}) {
+  const { color = null } = options;
+  const name = resolveIcon(icon);
+  const style = color ? `color: ${color}` : '';
+
+  if (!name) {
+    return html`<i class="${icon}" style="${style}"></i>`;
+  }
+
+  return html`<svg class="codedao-icon${name === 'spinner' ? ' codedao-icon-spin' : ''}" viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="${style}" aria-hidden="true">${raw(icons[name])}</svg>`;
+}
@@ -5,16 +5,41 @@
 
 import { AgentLogger } from './agentLogger.js';
 import { Dashboard } from './dashboard.js';
+import { defineDashboardElement } from './element.js';
 import { schema } from './schema.js';
+import { LocalStorageAdapter, MemoryAdapter, IndexedDBAdapter } from './storage.js';
+import { CollectorClient } from './collectorClient.js';
+import { AlertEngine } from './alerts.js';
+import { TabSync } from './sync.js';
+import { generateTraceId } from './trace.js';
+import { html, raw, escapeHTML, safeUrl } from './html.js';
+import { themes, registerTheme } from './themes.js';
+import { icons, registerIcon } from './icons.js';
+import { registerAgent, getAgentConfig } from './registry.js';
+import { CommitIngester, defaultAttributionRules, defaultTypeRules } from './commitIngest.js';
 
 // Main exports
-export { AgentLogger, Dashboard, schema };
+export { AgentLogger, Dashboard, schema, defineDashboardElement };
+export { LocalStorageAdapter, MemoryAdapter, IndexedDBAdapter };
+export { CollectorClient, TabSync, AlertEngine, generateTraceId, registerAgent, getAgentConfig };
+export { CommitIngester, defaultAttributionRules, defaultTypeRules };
+export { html, raw, escapeHTML, safeUrl };
+export { themes, registerTheme, icons, registerIcon };
 
 // Convenience methods
 export const logActivity = AgentLogger.log.bind(AgentLogger);
+export const startActivity = AgentLogger.start.bind(AgentLogger);
 export const renderDashboard = Dashboard.render.bind(Dashboard);
 export const getActivities = AgentLogger.getActivities.bind(AgentLogger);
+export const queryActivities = AgentLogger.query.bind(AgentLogger);
+export const subscribe = AgentLogger.subscribe.bind(AgentLogger);
 export const clearActivities = AgentLogger.clear.bind(AgentLogger);
+export const exportActivities = AgentLogger.exportActivities.bind(AgentLogger);
+export const verifyIntegrity = AgentLogger.verifyIntegrity.bind(AgentLogger);
+export const useStorage = AgentLogger.useStorage.bind(AgentLogger);
+export const setRetentionPolicy = AgentLogger.setRetentionPolicy.bind(AgentLogger);
+export const registerType = AgentLogger.registerType.bind(AgentLogger);
+export const registerStatus = AgentLogger.registerStatus.bind(AgentLogger);
 
 // Version
 export const version = '1.0.0';
@@ -24,9 +49,31 @@ export default {
   AgentLogger,
   Dashboard,
   schema,
+  defineDashboardElement,
   logActivity,
+  startActivity,
   renderDashboard,
   getActivities,
+  queryActivities,
+  subscribe,
   clearActivities,
+  exportActivities,
+  verifyIntegrity,
+  useStorage,
+  setRetentionPolicy,
+  registerType,
+  registerStatus,
+  LocalStorageAdapter,
+  MemoryAdapter,
+  IndexedDBAdapter,
+  CollectorClient,
+  TabSync,
+  AlertEngine,
+  generateTraceId,
+  registerAgent,
+  getAgentConfig,
+  registerTheme,
+  registerIcon,
+  CommitIngester,
   version
 };
@@ -0,0 +1,242 @@
+/**
+ * Tamper-evident activity chain
+ * Every stored activity carries `hash`, a SHA-256 of its own content, and
+ * `prevHash`, the hash of the activity stored before it. Editing, removing
+ * or reordering stored activities outside the SDK breaks the chain.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * SHA-256 of a string (UTF-8), computed synchronously so logging stays synchronous
+ * @param {string} message - Input
+ * @returns {string} Hex digest
+ */
+export function sha256(message) {
+  const bytes = new TextEncoder().encode(message);
+  const length = bytes.length;
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, length * 8);
+
+  const state = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * JSON with object keys sorted, so equal activities always hash the same
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJSON(item))).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash an activity's content, including its prevHash but not its own hash
+ * @param {Object} activity - Activity object
+ * @returns {string} Hex digest
+ */
+export function hashActivity(activity) {
+  const { hash, ...content } = activity;
+  return sha256(canonicalJSON(content));
+}
+
+/**
+ * Check that an activity still matches its hash
+ * @param {Object} activity - Activity object
+ * @returns {boolean} True when sealed and unmodified
+ */
+export function isSealed(activity) {
+  return Boolean(activity.hash) && activity.hash === hashActivity(activity);
+}
+
+/**
+ * Link activities (newest first) into a chain, in place
+ *
+ * Only the part of the chain from the oldest unsealed or unlinked activity
+ * onwards is rewritten, so appending costs one hash. Only activities that
+ * were never chained (no hash and no prevHash) are sealed; an activity that
+ * has a prevHash but lost its hash was edited outside the SDK and stays
+ * unsealed. A broken link is only repaired when it points at an activity that
+ * is still present or that the caller retired (evicted or replaced through
+ * the SDK); activities that were edited, or whose predecessor vanished from
+ * storage, are left as they are so the tampering stays visible to
+ * verifyChain(). The oldest activity keeps its prevHash, which anchors the
+ * chain to history that retention compacted.
+ *
+ * @param {Array} activities - Activities, newest first
+ * @param {Array} retired - Hashes of activities legitimately removed or replaced
+ * @returns {Array} The same array
+ */
+export function linkChain(activities, retired = []) {
+  let start = -1;
+  for (let i = activities.length - 1; i >= 0; i--) {
+    const older = activities[i + 1];
+    if (!activities[i].hash || (older && activities[i].prevHash !== older.hash)) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return activities;
+
+  // Taken before any activity is rehashed, so links to the old hashes can be repaired
+  const known = new Set([...retired, ...activities.map(activity => activity.hash)]);
+  const isKnown = hash => known.has(hash);
+
+  for (let i = start; i >= 0; i--) {
+    const activity = activities[i];
+    const older = activities[i + 1];
+    const prevHash = older ? older.hash : (activity.prevHash ?? null);
+
+    if (activity.hash && activity.prevHash === prevHash) continue;
+
+    const sealable = activity.hash ? isSealed(activity) : activity.prevHash === undefined;
+    const repairable = activity.prevHash == null || isKnown(activity.prevHash);
+    if (!sealable || !repairable) continue;
+
+    activity.prevHash = prevHash;
+    activity.hash = hashActivity(activity);
+  }
+
+  return activities;
+}
+
+/**
+ * Put activities back into chain order (newest first) by following prevHash
+ * links, e.g. after an export sorted activities with equal timestamps
+ * differently. Activities that don't form a single chain are returned as given.
+ * @param {Array} activities - Activities, roughly newest first
+ * @returns {Array} Activities, newest first
+ */
+export function orderChain(activities) {
+  const byHash = new Map(activities.filter(activity => activity.hash).map(activity => [activity.hash, activity]));
+  const referenced = new Set(activities.map(activity => activity.prevHash));
+  const heads = activities.filter(activity => activity.hash && !referenced.has(activity.hash));
+  if (heads.length !== 1 || byHash.size !== activities.length) return activities;
+
+  const ordered = [];
+  for (let activity = heads[0]; activity && ordered.length < activities.length; activity = byHash.get(activity.prevHash)) {
+    ordered.push(activity);
+  }
+
+  return ordered.length === activities.length ? ordered : activities;
+}
+
+/**
+ * Verify a chain of activities (newest first), oldest link first
+ *
+ * Passing a previous valid result verifies only the activities linked on
+ * top of its head, which is trusted along with everything older than it.
+ * The whole chain is checked again when the head is gone or activities
+ * were added below it. Edits made directly in storage below the trusted
+ * head go unnoticed until the next full check, so callers must still run
+ * one regularly.
+ *
+ * @param {Array} activities - Activities, newest first
+ * @param {Object} trusted - Previous verifyChain() result (optional)
+ * @returns {Object} { valid, checked, trusted, brokenAt, head } where checked
+ *   counts the activities hashed by this call, trusted those taken as
+ *   verified from the previous result, head is the newest activity's hash
+ *   and brokenAt is null or { index, id, reason } with reason 'unsealed'
+ *   (no hash), 'modified' (content changed) or 'unlinked' (an activity was
+ *   removed or reordered)
+ */
+export function verifyChain(activities, trusted = null) {
+  const result = { valid: true, checked: 0, trusted: 0, brokenAt: null, head: activities[0]?.hash ?? null };
+  let start = activities.length - 1;
+
+  if (trusted?.valid && trusted.head) {
+    const index = activities.findIndex(activity => activity.hash === trusted.head);
+    // Retention may have evicted older activities since, but never added any
+    if (index !== -1 && activities.length - index <= trusted.checked + trusted.trusted) {
+      start = index - 1;
+      result.trusted = activities.length - index;
+    }
+  }
+
+  for (let i = start; i >= 0; i--) {
+    const activity = activities[i];
+    const older = activities[i + 1];
+    let reason = null;
+
+    if (!activity.hash) {
+      reason = 'unsealed';
+    } else if (!isSealed(activity)) {
+      reason = 'modified';
+    } else if (older && activity.prevHash !== older.hash) {
+      reason = 'unlinked';
+    }
+
+    if (reason) {
+      result.valid = false;
+      result.brokenAt = { index: i, id: activity.id, reason };
+      return result;
+    }
+
+    result.checked++;
+  }
+
+  return result;
+}
@@ -0,0 +1,26 @@
+/**
+ * CodeDAO Dashboard SDK - Node.js entry point
+ * Everything from the browser entry plus modules that depend on Node built-ins
+ */
+
+import sdk from './index.js';
+import { FileAdapter } from './fileStorage.js';
+import { Collector, startCollector } from './collector.js';
+import { GitImporter, importGitHistory } from './gitImporter.js';
+import { GitHubWebhookAdapter, verifySignature } from './webhook.js';
+
+export * from './index.js';
+export { FileAdapter, Collector, startCollector };
+export { GitImporter, importGitHistory };
+export { GitHubWebhookAdapter, verifySignature };
+
+export default {
+  ...sdk,
+  FileAdapter,
+  Collector,
+  startCollector,
+  GitImporter,
+  importGitHistory,
+  GitHubWebhookAdapter,
+  verifySignature
+};
@@ -0,0 +1,107 @@
+/**
+ * Activity query engine
+ * Pure filtering, sorting and cursor pagination over activity arrays.
+ */
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const toTime = (value) => (value instanceof Date ? value : new Date(value)).getTime();
+
+/**
+ * Check whether an activity matches the given criteria
+ *
+ * @param {Object} activity - Activity object
+ * @param {Object} criteria - Query criteria
+ * @param {string|Array} criteria.agent - Agent name(s)
+ * @param {string|Array} criteria.type - Activity type(s)
+ * @param {string|Array} criteria.status - Status(es)
+ * @param {string|Array} criteria.tags - Tags the activity must all carry
+ * @param {string} criteria.repository - metadata.repository
+ * @param {string} criteria.branch - metadata.branch
+ * @param {string} criteria.traceId - Trace identifier
+ * @param {Date|string|number} criteria.since - Earliest timestamp (inclusive)
+ * @param {Date|string|number} criteria.until - Latest timestamp (inclusive)
+ * @param {string} criteria.search - Case-insensitive words searched in `action`
+ * @returns {boolean} Whether the activity matches
+ */
+export function matchesQuery(activity, criteria = {}) {
+  const metadata = activity.metadata || {};
+
+  if (criteria.agent && !toList(criteria.agent).includes(activity.agent)) return false;
+  if (criteria.type && !toList(criteria.type).includes(activity.type)) return false;
+  if (criteria.status && !toList(criteria.status).includes(activity.status)) return false;
+  if (criteria.traceId && activity.traceId !== criteria.traceId) return false;
+  if (criteria.repository && metadata.repository !== criteria.repository) return false;
+  if (criteria.branch && metadata.branch !== criteria.branch) return false;
+
+  if (criteria.tags && criteria.tags.length) {
+    const tags = metadata.tags || [];
+    if (!toList(criteria.tags).every(tag => tags.includes(tag))) return false;
+  }
+
+  if (criteria.since || criteria.until) {
+    const time = toTime(activity.timestamp);
+    if (criteria.since && time < toTime(criteria.since)) return false;
+    if (criteria.until && time > toTime(criteria.until)) return false;
+  }
+
+  if (criteria.search) {
+    const action = String(activity.action).toLowerCase();
+    const terms = String(criteria.search).toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.every(term => action.includes(term))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Build the cursor pointing just after an activity
+ * @param {Object} activity - Last activity of a page
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(activity) {
+  return `${toTime(activity.timestamp)}|${activity.id}`;
+}
+
+/**
+ * Filter, sort and paginate activities
+ *
+ * @param {Array} activities - Activity objects
+ * @param {Object} options - Criteria accepted by matchesQuery, plus:
+ * @param {string} options.order - 'desc' (newest first, default) or 'asc'
+ * @param {number} options.limit - Page size (all matches when omitted)
+ * @param {string} options.cursor - `nextCursor` from the previous page
+ * @returns {Object} { activities, total, nextCursor }
+ */
+export function runQuery(activities, options = {}) {
+  const { order = 'desc', limit = null, cursor = null } = options;
+  const direction = order === 'asc' ? 1 : -1;
+
+  const sortKey = (activity) => [toTime(activity.timestamp), String(activity.id)];
+  const compare = (a, b) => {
+    if (a[0] !== b[0]) return (a[0] - b[0]) * direction;
+    return (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) * direction;
+  };
+
+  const matches = activities
+    .filter(activity => matchesQuery(activity, options))
+    .map(activity => ({ activity, key: sortKey(activity) }))
+    .sort((a, b) => compare(a.key, b.key));
+
+  let start = 0;
+  if (cursor) {
+    const separator = cursor.indexOf('|');
+    const cursorKey = [Number(cursor.slice(0, separator)), cursor.slice(separator + 1)];
+    start = matches.findIndex(match => compare(match.key, cursorKey) > 0);
+    if (start === -1) start = matches.length;
+  }
+
+  const page = limit ? matches.slice(start, start + limit) : matches.slice(start);
+  const hasMore = start + page.length < matches.length;
+
+  return {
+    activities: page.map(match => match.activity),
+    total: matches.length,
+    nextCursor: hasMore && page.length ? encodeCursor(page[page.length - 1].activity) : null
+  };
+}
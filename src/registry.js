@@ -0,0 +1,196 @@
+import { schema, agentConfig, statusConfig, typeConfig } from './schema.js';
+
+/**
+ * Agent, type and status registry
+ * Resolves display styling for any agent name: runtime registrations first,
+ * then the static agentConfig, then a deterministic style derived from the name.
+ * Custom activity types and statuses extend the schema enums in place.
+ */
+
+const registeredAgents = new Map();
+const generatedAgents = new Map();
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} value - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Convert HSL to a hex color
+ * @param {number} h - Hue (0-360)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {string} Hex color
+ */
+function hslToHex(h, s, l) {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = lightness - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
+}
+
+/**
+ * Mix a hex color with white (amount > 0) or black (amount < 0)
+ * @param {string} hex - Hex color (#RRGGBB)
+ * @param {number} amount - Mix ratio between -1 and 1
+ * @returns {string} Hex color
+ */
+function mixColor(hex, amount) {
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) return hex;
+
+  const target = amount > 0 ? 255 : 0;
+  const ratio = Math.abs(amount);
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return '#' + channels
+    .map(value => Math.round(value + (target - value) * ratio).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * Derive up to two initials from an agent name
+ * @param {string} name - Agent name (e.g., 'Gemini', 'review-bot', 'DeployBot')
+ * @returns {string} Initials
+ */
+export function agentInitials(name) {
+  const words = String(name)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  if (!words.length) return '?';
+  if (words.length === 1) return words[0][0].toUpperCase();
+  return (words[0][0] + words[1][0]).toUpperCase();
+}
+
+/**
+ * Generate a deterministic style for an agent without a registration
+ * @param {string} name - Agent name
+ * @returns {Object} Agent configuration
+ */
+export function generateAgentConfig(name) {
+  if (generatedAgents.has(name)) return generatedAgents.get(name);
+
+  const hash = hashString(String(name));
+  const hue = hash % 360;
+  const saturation = 55 + (hash >>> 9) % 20;
+  const bgColor = hslToHex(hue, saturation, 48);
+
+  const config = {
+    color: `hsl(${hue}, ${saturation}%, 48%)`,
+    bgColor,
+    lightBg: hslToHex(hue, saturation, 95),
+    textColor: hslToHex(hue, saturation, 38),
+    icon: agentInitials(name),
+    name
+  };
+
+  generatedAgents.set(name, config);
+  return config;
+}
+
+/**
+ * Register styling for an agent
+ * @param {string} name - Agent name as used in activities
+ * @param {Object} options - { color: hex color, icon: short label, displayName }
+ * @returns {Object} Resolved agent configuration
+ */
+export function registerAgent(name, options = {}) {
+  const base = agentConfig[name] || generateAgentConfig(name);
+  const bgColor = options.color || base.bgColor;
+
+  const config = {
+    ...base,
+    color: options.color || base.color,
+    bgColor,
+    lightBg: options.color ? mixColor(bgColor, 0.9) : base.lightBg,
+    textColor: options.color ? mixColor(bgColor, -0.15) : base.textColor,
+    icon: options.icon || base.icon,
+    name: options.displayName || base.name
+  };
+
+  registeredAgents.set(name, config);
+  return config;
+}
+
+/**
+ * Remove a runtime registration
+ * @param {string} name - Agent name
+ * @returns {boolean} Whether a registration was removed
+ */
+export function unregisterAgent(name) {
+  return registeredAgents.delete(name);
+}
+
+/**
+ * Resolve styling for an agent
+ * @param {string} name - Agent name
+ * @returns {Object} Agent configuration
+ */
+export function getAgentConfig(name) {
+  return registeredAgents.get(name) || agentConfig[name] || generateAgentConfig(name);
+}
+
+/**
+ * List every agent with explicit styling (static and registered)
+ * @returns {Object} Agent name -> configuration
+ */
+export function getRegisteredAgents() {
+  const agents = { ...agentConfig };
+  registeredAgents.forEach((config, name) => {
+    agents[name] = config;
+  });
+  return agents;
+}
+
+/**
+ * Add a custom activity type to the schema enum and typeConfig
+ * Callers must recompile the validator afterwards (see AgentLogger.registerType).
+ * @param {string} name - Type name (e.g., 'planning')
+ * @param {Object} options - { icon: bundled icon name or Font Awesome class, color, label }
+ * @returns {Object} Type configuration
+ */
+export function addActivityType(name, options = {}) {
+  const typeEnum = schema.properties.type.enum;
+  if (!typeEnum.includes(name)) typeEnum.push(name);
+
+  typeConfig[name] = {
+    ...typeConfig.info,
+    ...typeConfig[name],
+    ...options
+  };
+  return typeConfig[name];
+}
+
+/**
+ * Add a custom status to the schema enum and statusConfig
+ * Callers must recompile the validator afterwards (see AgentLogger.registerStatus).
+ * @param {string} name - Status name (e.g., 'cancelled')
+ * @param {Object} options - { icon: bundled icon name or Font Awesome class, color, bg, label }
+ * @returns {Object} Status configuration
+ */
+export function addActivityStatus(name, options = {}) {
+  const statusEnum = schema.properties.status.enum;
+  if (!statusEnum.includes(name)) statusEnum.push(name);
+
+  statusConfig[name] = {
+    ...statusConfig.info,
+    ...statusConfig[name],
+    ...options
+  };
+  return statusConfig[name];
+}
@@ -0,0 +1,68 @@
+import { getAgentConfig } from './registry.js';
+import { computeAnalytics } from './analytics.js';
+import { html } from './html.js';
+import { resolveTheme } from './themes.js';
+import { activityHTML, analyticsHTML } from './templates.js';
+
+/**
+ * Render a static, non-interactive snapshot of the dashboard
+ * Used for standalone HTML reports; needs no DOM and doesn't import the
+ * live Dashboard, so Node exporters can use it.
+ * @param {Array} activities - Activities to include
+ * @param {Object} options - { title, theme }
+ * @returns {string} Dashboard markup
+ */
+export function renderStaticHTML(activities, options = {}) {
+  const { title = 'AI Activity Report', theme = 'light' } = options;
+  const themeAttributes = resolveTheme(theme);
+
+  const formatTime = timestamp => timestamp.toLocaleString();
+
+  const byAgent = {};
+  activities.forEach(activity => {
+    byAgent[activity.agent] = (byAgent[activity.agent] || 0) + 1;
+  });
+
+  const agentsHTML = Object.entries(byAgent).map(([agent, count]) => {
+    const agentConf = getAgentConfig(agent);
+    return html`
+      <div class="codedao-agent-stat">
+        <div class="codedao-agent-avatar" style="background-color: ${agentConf.bgColor}">
+          ${agentConf.icon}
+        </div>
+        <div class="codedao-agent-info">
+          <span class="codedao-agent-name">${agentConf.name}</span>
+          <span class="codedao-agent-count">${count}</span>
+        </div>
+      </div>
+    `;
+  });
+
+  // Bucket by day over the span of the exported activities
+  const times = activities.map(activity => new Date(activity.timestamp).getTime());
+  const newest = times.length ? Math.max(...times) : Date.now();
+  const oldest = times.length ? Math.min(...times) : newest;
+  const days = Math.min(Math.max(Math.ceil((newest - oldest) / 86400000) + 1, 2), 90);
+  const analytics = computeAnalytics(activities, { bucket: 'day', buckets: days, now: newest });
+
+  return html`
+    <div class="codedao-dashboard" data-theme="${themeAttributes.name}" style="${themeAttributes.style}">
+      <div class="codedao-stats">
+        <div class="codedao-stat-item">
+          <div class="codedao-stat-number">${activities.length}</div>
+          <div class="codedao-stat-label">Total Activities</div>
+        </div>
+        <div class="codedao-agents-stats">${agentsHTML}</div>
+      </div>
+      <div class="codedao-analytics">${analyticsHTML(analytics)}</div>
+      <div class="codedao-activities">
+        <div class="codedao-activities-header">
+          <h3>${title}</h3>
+        </div>
+        <div class="codedao-activities-list codedao-report-list">
+          ${activities.map(activity => activityHTML(activity, formatTime))}
+        </div>
+      </div>
+    </div>
+  `;
+}
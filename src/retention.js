@@ -0,0 +1,124 @@
+/**
+ * Retention policies and daily rollups
+ * Decides which activities to keep and folds evicted ones into per-day
+ * aggregates so totals survive after the detail is gone.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default retention policy
+ *   maxActivities  - Cap on stored activities (null uses AgentLogger.MAX_ACTIVITIES)
+ *   maxAge         - Maximum age in milliseconds (null keeps activities forever)
+ *   maxAgeByStatus - Per-status overrides, e.g. { error: 90 * DAY }
+ *   maxAgeByType   - Per-type overrides, e.g. { security: 90 * DAY }
+ *   maxPerAgent    - Cap on stored activities for any single agent
+ */
+export const defaultRetentionPolicy = {
+  maxActivities: null,
+  maxAge: null,
+  maxAgeByStatus: {},
+  maxAgeByType: {},
+  maxPerAgent: null
+};
+
+/**
+ * Maximum age allowed for an activity; status and type overrides
+ * only ever extend the base age
+ * @param {Object} activity - Activity object
+ * @param {Object} policy - Retention policy
+ * @returns {number|null} Age in milliseconds, or null for no limit
+ */
+export function maxAgeFor(activity, policy) {
+  const ages = [
+    policy.maxAge,
+    policy.maxAgeByStatus?.[activity.status],
+    policy.maxAgeByType?.[activity.type]
+  ].filter(age => age !== undefined);
+
+  if (!ages.length || ages.includes(null)) return null;
+  return Math.max(...ages);
+}
+
+/**
+ * Split activities (newest first) into the ones to keep and the ones to evict
+ * @param {Array} activities - Activities, newest first
+ * @param {Object} policy - Retention policy
+ * @param {number} now - Current time in milliseconds (defaults to Date.now())
+ * @returns {Object} { kept, evicted } - Both newest first
+ */
+export function applyRetention(activities, policy, now = Date.now()) {
+  const kept = [];
+  const evicted = [];
+  const perAgent = {};
+
+  activities.forEach(activity => {
+    const maxAge = maxAgeFor(activity, policy);
+    const tooOld = maxAge !== null && now - new Date(activity.timestamp).getTime() > maxAge;
+    const agentCount = perAgent[activity.agent] || 0;
+    const agentFull = policy.maxPerAgent != null && agentCount >= policy.maxPerAgent;
+    const storeFull = policy.maxActivities != null && kept.length >= policy.maxActivities;
+
+    if (tooOld || agentFull || storeFull) {
+      evicted.push(activity);
+      return;
+    }
+
+    perAgent[activity.agent] = agentCount + 1;
+    kept.push(activity);
+  });
+
+  return { kept, evicted };
+}
+
+/**
+ * Fold activities into daily (UTC) rollups
+ * @param {Array} rollups - Existing rollups (left unchanged)
+ * @param {Array} activities - Activities to add
+ * @returns {Array} Updated rollups, newest day first:
+ *   [{ date, total, byAgent, byType, byStatus, byTag }]
+ */
+export function rollupActivities(rollups, activities) {
+  // Copy the counts so the existing rollups can be folded into again on retry
+  const days = new Map(rollups.map(rollup => [rollup.date, {
+    ...rollup,
+    byAgent: { ...rollup.byAgent },
+    byType: { ...rollup.byType },
+    byStatus: { ...rollup.byStatus },
+    byTag: { ...rollup.byTag }
+  }]));
+  const increment = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+  };
+
+  activities.forEach(activity => {
+    const time = new Date(activity.timestamp).getTime();
+    const date = new Date(Math.floor(time / DAY) * DAY).toISOString().slice(0, 10);
+
+    if (!days.has(date)) {
+      days.set(date, { date, total: 0, byAgent: {}, byType: {}, byStatus: {}, byTag: {} });
+    }
+
+    const rollup = days.get(date);
+    rollup.total++;
+    increment(rollup.byAgent, activity.agent);
+    increment(rollup.byType, activity.type);
+    increment(rollup.byStatus, activity.status);
+    (activity.metadata?.tags || []).forEach(tag => increment(rollup.byTag, tag));
+  });
+
+  return Array.from(days.values()).sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+/**
+ * Whether an error was caused by the storage quota being exceeded
+ * @param {Error} error - Error thrown by a storage write
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
@@ -16,6 +16,11 @@ export const schema = {
       format: "date-time",
       description: "ISO 8601 timestamp when the activity occurred"
     },
+    updatedAt: {
+      type: "string",
+      format: "date-time",
+      description: "ISO 8601 timestamp of the last update (set by the SDK)"
+    },
     agent: {
       type: "string",
       minLength: 1,
@@ -56,6 +61,25 @@ export const schema = {
       enum: ["success", "processing", "error", "warning", "info"],
       description: "Current status of the activity"
     },
+    traceId: {
+      type: "string",
+      minLength: 1,
+      description: "Identifier shared by every activity belonging to one workflow"
+    },
+    parentId: {
+      type: ["number", "string"],
+      description: "ID of the activity that spawned this one within the trace"
+    },
+    hash: {
+      type: "string",
+      pattern: "^[a-f0-9]{64}$",
+      description: "SHA-256 of the activity's content and prevHash (set by the SDK)"
+    },
+    prevHash: {
+      type: ["string", "null"],
+      pattern: "^[a-f0-9]{64}$",
+      description: "Hash of the activity stored before this one (set by the SDK)"
+    },
     metadata: {
       type: "object",
       description: "Additional context and details about the activity",
@@ -95,6 +119,10 @@ export const schema = {
           items: { type: ["number", "string"] },
           description: "IDs of related activities"
         },
+        targetAgent: {
+          type: "string",
+          description: "Agent receiving the handoff for 'collaboration' activities"
+        },
         repository: {
           type: "string",
           description: "Repository name or URL"
@@ -167,30 +195,36 @@ export const agentConfig = {
 
 /**
  * Status configuration for consistent styling
+ *
+ * `icon` values are names from the bundled SVG set in icons.js. Earlier
+ * releases used Font Awesome classes (e.g. 'fas fa-check-circle'): those still
+ * render through aliases in icons.js, and unknown classes fall back to an <i>
+ * element for the host page's icon font, but code reading `icon` from
+ * statusConfig or typeConfig now gets a bundled name rather than a CSS class.
  */
 export const statusConfig = {
   'success': { 
-    icon: 'fas fa-check-circle', 
+    icon: 'check-circle', 
     color: '#10B981',
     bg: '#ECFDF5'
   },
   'processing': { 
-    icon: 'fas fa-spinner fa-spin', 
+    icon: 'spinner', 
     color: '#3B82F6',
     bg: '#EFF6FF'
   },
   'error': { 
-    icon: 'fas fa-exclamation-triangle', 
+    icon: 'alert-triangle', 
     color: '#EF4444',
     bg: '#FEF2F2'
   },
   'warning': { 
-    icon: 'fas fa-exclamation-circle', 
+    icon: 'alert-circle', 
     color: '#F59E0B',
     bg: '#FFFBEB'
   },
   'info': { 
-    icon: 'fas fa-info-circle', 
+    icon: 'info', 
     color: '#6B7280',
     bg: '#F9FAFB'
   }
@@ -198,18 +232,19 @@ export const statusConfig = {
 
 /**
  * Type configuration for consistent styling and icons
+ * Icons are names from the bundled set in icons.js (see statusConfig)
  */
 export const typeConfig = {
-  'commit': { icon: 'fas fa-code-branch', color: '#8B5CF6' },
-  'analysis': { icon: 'fas fa-search', color: '#3B82F6' },
-  'detection': { icon: 'fas fa-bug', color: '#EF4444' },
-  'validation': { icon: 'fas fa-check-double', color: '#10B981' },
-  'monitoring': { icon: 'fas fa-eye', color: '#6B7280' },
-  'documentation': { icon: 'fas fa-file-alt', color: '#F59E0B' },
-  'security': { icon: 'fas fa-shield-alt', color: '#DC2626' },
-  'optimization': { icon: 'fas fa-tachometer-alt', color: '#059669' },
-  'refactoring': { icon: 'fas fa-code', color: '#7C3AED' },
-  'deployment': { icon: 'fas fa-rocket', color: '#DC2626' },
-  'collaboration': { icon: 'fas fa-comments', color: '#2563EB' },
-  'info': { icon: 'fas fa-info-circle', color: '#6B7280' }
+  'commit': { icon: 'git-branch', color: '#8B5CF6' },
+  'analysis': { icon: 'search', color: '#3B82F6' },
+  'detection': { icon: 'bug', color: '#EF4444' },
+  'validation': { icon: 'check-double', color: '#10B981' },
+  'monitoring': { icon: 'eye', color: '#6B7280' },
+  'documentation': { icon: 'file-text', color: '#F59E0B' },
+  'security': { icon: 'shield', color: '#DC2626' },
+  'optimization': { icon: 'gauge', color: '#059669' },
+  'refactoring': { icon: 'code', color: '#7C3AED' },
+  'deployment': { icon: 'rocket', color: '#DC2626' },
+  'collaboration': { icon: 'message', color: '#2563EB' },
+  'info': { icon: 'info', color: '#6B7280' }
 };
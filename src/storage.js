@@ -0,0 +1,240 @@
+/**
+ * Storage adapters for AgentLogger
+ *
+ * Every adapter exposes the same synchronous interface so AgentLogger behaves
+ * identically regardless of where activities are kept:
+ *   read(name)           - Returns the stored records for `name` (or [])
+ *   write(name, records) - Replaces the stored records for `name`
+ *   remove(name)         - Deletes the stored records for `name`
+ *
+ * Adapters whose store can be shared with other writers may also expose
+ * transaction(callback), which runs a read-modify-write exclusively.
+ *
+ * Asynchronous backends keep an in-memory copy and expose a `ready` promise
+ * that resolves once that copy has been loaded.
+ */
+
+const clone = (records) => JSON.parse(JSON.stringify(records));
+
+/**
+ * Combine records written before a backend finished loading with the ones it
+ * loaded: written records come first and win on duplicate ids; records
+ * without an id (e.g., rollups) are kept from both.
+ */
+function mergeRecords(written, loaded) {
+  const ids = new Set(written.filter(record => record.id !== undefined).map(record => record.id));
+  return [...written, ...loaded.filter(record => record.id === undefined || !ids.has(record.id))];
+}
+
+/**
+ * LocalStorageAdapter - Browser localStorage backend (the default in browsers)
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {string} prefix - Prefix prepended to every record set name
+   */
+  constructor(prefix = 'codedao_ai_') {
+    this.prefix = prefix;
+    this.ready = Promise.resolve();
+  }
+
+  read(name) {
+    const stored = localStorage.getItem(this.prefix + name);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  write(name, records) {
+    localStorage.setItem(this.prefix + name, JSON.stringify(records));
+  }
+
+  remove(name) {
+    localStorage.removeItem(this.prefix + name);
+  }
+}
+
+/**
+ * MemoryAdapter - Volatile in-process backend (the default outside browsers)
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.store = new Map();
+    this.ready = Promise.resolve();
+  }
+
+  read(name) {
+    return this.store.has(name) ? clone(this.store.get(name)) : [];
+  }
+
+  write(name, records) {
+    this.store.set(name, clone(records));
+  }
+
+  remove(name) {
+    this.store.delete(name);
+  }
+}
+
+/**
+ * IndexedDBAdapter - Browser IndexedDB backend for stores beyond the
+ * localStorage quota. Reads are served from memory; writes are persisted
+ * in the background, and flush() reports the ones that failed.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} dbName - IndexedDB database name
+   * @param {string} storeName - Object store holding the record sets
+   */
+  constructor(dbName = 'codedao', storeName = 'activities') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.cache = new Map();
+    this.db = null;
+    this.loaded = false;
+    this.removedEarly = new Set(); // Record sets removed before loading finished
+    this.pending = Promise.resolve();
+    this.error = null; // First write that failed since the last flush()
+    this.ready = this.open();
+  }
+
+  /**
+   * Open the database and load every record set into memory
+   * @returns {Promise<void>}
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+    })
+      .then(() => this.load(false))
+      .catch(error => {
+        console.error('CodeDAO SDK: Failed to open IndexedDB storage:', error);
+      });
+  }
+
+  /**
+   * Read every record set from the database into memory
+   * @param {boolean} replace - Discard the current cache (used when another tab wrote)
+   * @returns {Promise<void>}
+   */
+  load(replace) {
+    return new Promise((resolve, reject) => {
+      const loaded = new Map();
+      const tx = this.db.transaction(this.storeName, 'readonly');
+      const cursorRequest = tx.objectStore(this.storeName).openCursor();
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          loaded.set(cursor.key, cursor.value);
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => {
+        if (replace) {
+          this.cache = loaded;
+        } else {
+          // Writes made before loading finished are added to the stored
+          // records rather than replacing them; removals discard them
+          loaded.forEach((value, key) => {
+            if (this.removedEarly.has(key)) return;
+            this.cache.set(key, this.cache.has(key) ? mergeRecords(this.cache.get(key), value) : value);
+          });
+          this.removedEarly.clear();
+        }
+        this.loaded = true;
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Refresh the in-memory copy after another tab changed the database
+   * @returns {Promise<void>}
+   */
+  reload() {
+    this.ready = this.ready.then(() => (this.db ? this.load(true) : undefined));
+    return this.ready;
+  }
+
+  read(name) {
+    return this.cache.has(name) ? clone(this.cache.get(name)) : [];
+  }
+
+  write(name, records) {
+    this.cache.set(name, clone(records));
+    this.persist(store => store.put(this.cache.get(name), name));
+  }
+
+  remove(name) {
+    this.cache.delete(name);
+    if (!this.loaded) this.removedEarly.add(name);
+    this.persist(store => store.delete(name));
+  }
+
+  /**
+   * Run a write against the object store once the database is open
+   * @param {Function} operation - Receives the object store
+   */
+  persist(operation) {
+    this.pending = Promise.all([this.pending, this.ready]).then(() => new Promise(resolve => {
+      if (!this.db) return resolve();
+
+      // Keep the queue going after a failure; flush() reports it
+      const fail = error => {
+        this.error = this.error || error;
+        resolve();
+      };
+
+      try {
+        const tx = this.db.transaction(this.storeName, 'readwrite');
+        operation(tx.objectStore(this.storeName));
+        tx.oncomplete = () => resolve();
+        // Failed requests and quota errors both abort the transaction
+        tx.onabort = () => fail(tx.error);
+      } catch (error) {
+        fail(error);
+      }
+    }));
+  }
+
+  /**
+   * Wait until every queued write has been committed
+   * @returns {Promise<void>} Rejects with the first write that failed since
+   *   the last flush (e.g., a QuotaExceededError); the records are still in
+   *   memory, so they can be compacted and written again
+   */
+  flush() {
+    return this.pending.then(() => {
+      const { error } = this;
+      this.error = null;
+      if (error) throw error;
+    });
+  }
+}
+
+/**
+ * Pick the best available backend for the current environment
+ * @returns {Object} Storage adapter instance
+ */
+export function createDefaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) {
+      return new LocalStorageAdapter();
+    }
+  } catch (error) {
+    // Accessing localStorage can throw when storage is disabled
+  }
+  return new MemoryAdapter();
+}
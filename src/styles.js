@@ -0,0 +1,594 @@
+import { themeStyles } from './themes.js';
+
+/**
+ * Dashboard stylesheet
+ * Shared by the live Dashboard and standalone HTML reports. Colors come from
+ * the theme's CSS custom properties (see themes.js).
+ */
+
+export const dashboardStyles = `${themeStyles()}
+  .codedao-dashboard {
+    position: relative;
+    font-family: var(--codedao-font-family);
+    background: var(--codedao-background);
+    color: var(--codedao-text);
+    border-radius: var(--codedao-radius);
+    overflow: hidden;
+  }
+  
+  .codedao-stats {
+    display: flex;
+    gap: 1rem;
+    padding: 1rem;
+    background: var(--codedao-surface);
+    border-bottom: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-stat-item {
+    text-align: center;
+    padding: 1rem;
+    background: var(--codedao-surface-muted);
+    border-radius: 6px;
+    min-width: 100px;
+  }
+  
+  .codedao-stat-number {
+    font-size: 2rem;
+    font-weight: bold;
+    color: var(--codedao-text);
+  }
+  
+  .codedao-stat-label {
+    font-size: 0.875rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-stat-trend {
+    margin-top: 0.25rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-agent-info {
+    display: flex;
+    flex-direction: column;
+  }
+  
+  .codedao-agent-rate {
+    font-size: 0.75rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-analytics {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1.5rem;
+    padding: 1rem;
+    background: var(--codedao-surface);
+    border-bottom: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-analytics:empty {
+    display: none;
+  }
+  
+  .codedao-chart-title {
+    font-size: 0.75rem;
+    font-weight: 600;
+    color: var(--codedao-text-muted);
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    margin-bottom: 0.5rem;
+  }
+  
+  .codedao-chart-label,
+  .codedao-chart-value {
+    font-size: 11px;
+    fill: var(--codedao-text-muted);
+  }
+  
+  .codedao-chart-track {
+    fill: var(--codedao-surface-muted);
+  }
+  
+  .codedao-agents-stats {
+    display: flex;
+    gap: 1rem;
+    flex: 1;
+  }
+  
+  .codedao-agent-stat {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    padding: 0.5rem 1rem;
+    background: var(--codedao-surface);
+    border-radius: 6px;
+    border: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-filters {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1rem;
+    padding: 1rem;
+    background: var(--codedao-surface);
+    border-bottom: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-filters select,
+  .codedao-filters input,
+  .codedao-filters button {
+    padding: 0.5rem;
+    border: 1px solid var(--codedao-input-border);
+    border-radius: 4px;
+    background: var(--codedao-surface);
+    color: var(--codedao-text);
+  }
+  
+  .codedao-activities {
+    background: var(--codedao-surface);
+  }
+  
+  .codedao-activities-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 1rem;
+    border-bottom: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-activities-header h3 {
+    margin: 0;
+    font-size: 1.125rem;
+    font-weight: 600;
+    color: var(--codedao-text);
+  }
+  
+  .codedao-status {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    font-size: 0.875rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-indicator {
+    width: 8px;
+    height: 8px;
+    background: var(--codedao-accent);
+    border-radius: 50%;
+    animation: codedao-pulse 2s infinite;
+  }
+  
+  .codedao-status[data-state="warning"] .codedao-indicator {
+    background: #f59e0b;
+  }
+  
+  .codedao-status[data-state="critical"] .codedao-indicator {
+    background: #ef4444;
+  }
+  
+  .codedao-integrity {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    margin: 0 1rem 0 auto;
+    padding: 0.125rem 0.5rem;
+    border: 1px solid currentColor;
+    border-radius: 9999px;
+    font-size: 0.75rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-integrity[data-state="verified"] {
+    color: #059669;
+  }
+  
+  .codedao-integrity[data-state="tampered"] {
+    color: #dc2626;
+  }
+  
+  .codedao-alerts:empty {
+    display: none;
+  }
+  
+  .codedao-alert {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    padding: 0.75rem 1rem;
+    font-size: 0.875rem;
+    border-bottom: 1px solid var(--codedao-border);
+    border-left: 4px solid #f59e0b;
+    background: var(--codedao-surface);
+    color: var(--codedao-text);
+  }
+  
+  .codedao-alert-warning .codedao-icon {
+    color: #f59e0b;
+  }
+  
+  .codedao-alert-critical {
+    border-left-color: #ef4444;
+  }
+  
+  .codedao-alert-critical .codedao-icon {
+    color: #ef4444;
+  }
+  
+  .codedao-alert-message {
+    flex: 1;
+  }
+  
+  .codedao-alert button {
+    border: none;
+    background: none;
+    color: var(--codedao-text-muted);
+    cursor: pointer;
+  }
+  
+  @keyframes codedao-pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.5; }
+  }
+  
+  .codedao-activities-list {
+    max-height: 500px;
+    overflow-y: auto;
+  }
+  
+  .codedao-report-list {
+    max-height: none;
+  }
+  
+  .codedao-virtual .codedao-activity-item {
+    box-sizing: border-box;
+    height: var(--codedao-row-height);
+    overflow: hidden;
+  }
+  
+  .codedao-activity-item {
+    padding: 1rem;
+    border-bottom: 1px solid var(--codedao-border-muted);
+    border-left: 4px solid var(--codedao-border);
+    transition: background-color 0.2s;
+  }
+  
+  .codedao-activities-list .codedao-activity-item {
+    cursor: pointer;
+  }
+  
+  .codedao-report-list .codedao-activity-item {
+    cursor: default;
+  }
+  
+  .codedao-activity-item:hover {
+    background: var(--codedao-hover);
+  }
+  
+  .codedao-activity-header {
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
+    margin-bottom: 0.5rem;
+  }
+  
+  .codedao-agent-avatar {
+    width: 32px;
+    height: 32px;
+    border-radius: 50%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    color: white;
+    font-weight: bold;
+    font-size: 0.875rem;
+  }
+  
+  .codedao-activity-meta {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    flex: 1;
+  }
+  
+  .codedao-agent-name {
+    font-weight: 600;
+  }
+  
+  .codedao-activity-icons {
+    display: flex;
+    gap: 0.25rem;
+  }
+  
+  .codedao-icon {
+    display: inline-block;
+    flex-shrink: 0;
+    vertical-align: middle;
+  }
+  
+  .codedao-metadata-item .codedao-icon {
+    width: 12px;
+    height: 12px;
+  }
+  
+  .codedao-icon-spin {
+    animation: codedao-spin 1s linear infinite;
+  }
+  
+  @keyframes codedao-spin {
+    to { transform: rotate(360deg); }
+  }
+  
+  .codedao-timestamp {
+    font-size: 0.75rem;
+    color: var(--codedao-text-subtle);
+  }
+  
+  .codedao-activity-action {
+    margin: 0 0 0.5rem 0;
+    color: var(--codedao-text);
+    font-weight: 500;
+  }
+  
+  .codedao-metadata {
+    display: flex;
+    gap: 1rem;
+    flex-wrap: wrap;
+  }
+  
+  .codedao-metadata-item a {
+    color: inherit;
+  }
+  
+  .codedao-metadata-item {
+    display: flex;
+    align-items: center;
+    gap: 0.25rem;
+    font-size: 0.75rem;
+    color: var(--codedao-text-muted);
+    background: var(--codedao-surface-muted);
+    padding: 0.25rem 0.5rem;
+    border-radius: 4px;
+  }
+  
+  .codedao-empty-state {
+    text-align: center;
+    padding: 3rem 1rem;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-empty-icon {
+    font-size: 3rem;
+    margin-bottom: 1rem;
+  }
+  
+  .codedao-empty-state h4 {
+    margin: 0 0 0.5rem 0;
+    color: var(--codedao-text-strong);
+  }
+  
+  .codedao-empty-state p {
+    margin: 0;
+  }
+  
+  .codedao-traces {
+    background: var(--codedao-surface);
+    border-top: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-trace {
+    padding: 1rem;
+    border-bottom: 1px solid var(--codedao-border-muted);
+  }
+  
+  .codedao-trace-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 0.5rem;
+  }
+  
+  .codedao-trace-title {
+    font-weight: 600;
+    color: var(--codedao-text);
+  }
+  
+  .codedao-span {
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
+    font-size: 0.75rem;
+    padding: 0.125rem 0;
+  }
+  
+  .codedao-span-label {
+    display: flex;
+    align-items: center;
+    gap: 0.375rem;
+    width: 40%;
+    min-width: 0;
+    white-space: nowrap;
+  }
+  
+  .codedao-span-action {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    color: var(--codedao-text-strong);
+  }
+  
+  .codedao-span-track {
+    position: relative;
+    flex: 1;
+    height: 16px;
+    background: var(--codedao-surface-muted);
+    border-radius: 3px;
+  }
+  
+  .codedao-span-bar {
+    position: absolute;
+    top: 2px;
+    bottom: 2px;
+    border-radius: 2px;
+    opacity: 0.85;
+  }
+  
+  .codedao-network {
+    background: var(--codedao-surface);
+    border-top: 1px solid var(--codedao-border);
+  }
+  
+  .codedao-network-graph {
+    padding: 1rem;
+  }
+  
+  .codedao-network-svg {
+    display: block;
+    width: 100%;
+    max-width: 480px;
+    margin: 0 auto;
+  }
+  
+  .codedao-network-line {
+    stroke: var(--codedao-line);
+  }
+  
+  .codedao-network-arrowhead {
+    fill: var(--codedao-line);
+  }
+  
+  .codedao-network-weight,
+  .codedao-network-label {
+    font-size: 11px;
+    fill: var(--codedao-text-muted);
+    text-anchor: middle;
+  }
+  
+  .codedao-network-icon {
+    font-size: 12px;
+    font-weight: bold;
+    fill: white;
+    text-anchor: middle;
+  }
+  
+  .codedao-span-duration {
+    position: absolute;
+    right: 4px;
+    top: 1px;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-drawer {
+    position: absolute;
+    top: 0;
+    right: 0;
+    bottom: 0;
+    width: min(420px, 100%);
+    box-sizing: border-box;
+    padding: 1rem;
+    overflow-y: auto;
+    background: var(--codedao-surface);
+    border-left: 1px solid var(--codedao-border);
+    box-shadow: -8px 0 24px rgba(0, 0, 0, 0.12);
+    z-index: 10;
+  }
+  
+  .codedao-drawer[hidden] {
+    display: none;
+  }
+  
+  .codedao-drawer-nav {
+    display: flex;
+    justify-content: space-between;
+    margin-bottom: 0.75rem;
+  }
+  
+  .codedao-drawer button {
+    padding: 0.25rem 0.5rem;
+    border: 1px solid var(--codedao-input-border);
+    border-radius: 4px;
+    background: none;
+    color: var(--codedao-text);
+    cursor: pointer;
+  }
+  
+  .codedao-drawer .codedao-drawer-link {
+    padding: 0;
+    border: none;
+    text-align: left;
+    text-decoration: underline;
+  }
+  
+  .codedao-drawer-header {
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
+    margin-bottom: 0.75rem;
+  }
+  
+  .codedao-drawer-action {
+    margin: 0 0 1rem 0;
+    font-weight: 600;
+    color: var(--codedao-text);
+  }
+  
+  .codedao-drawer-fields {
+    display: grid;
+    grid-template-columns: max-content 1fr;
+    gap: 0.375rem 1rem;
+    margin: 0;
+    font-size: 0.875rem;
+  }
+  
+  .codedao-drawer-fields dt {
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-drawer-fields dd {
+    margin: 0;
+    min-width: 0;
+    overflow-wrap: anywhere;
+  }
+  
+  .codedao-drawer pre {
+    margin: 0;
+    padding: 0.5rem;
+    white-space: pre-wrap;
+    font-size: 0.75rem;
+    background: var(--codedao-surface-muted);
+    border-radius: 4px;
+  }
+  
+  .codedao-drawer a {
+    color: inherit;
+  }
+  
+  .codedao-drawer-section h5 {
+    margin: 1rem 0 0.5rem 0;
+    font-size: 0.75rem;
+    text-transform: uppercase;
+    color: var(--codedao-text-muted);
+  }
+  
+  .codedao-drawer-section ul {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+  
+  .codedao-drawer-missing {
+    color: var(--codedao-text-subtle);
+  }
+  
+  .codedao-tag {
+    display: inline-block;
+    margin: 0 0.25rem 0.25rem 0;
+    padding: 0.125rem 0.375rem;
+    font-size: 0.75rem;
+    background: var(--codedao-surface-muted);
+    border-radius: 4px;
+  }
+`;
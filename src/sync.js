@@ -0,0 +1,112 @@
+/**
+ * TabSync - Relays SDK events between tabs, windows and same-origin iframes.
+ * Uses BroadcastChannel where available and falls back to the `storage`
+ * event, which fires in other tabs whenever localStorage changes.
+ */
+export class TabSync {
+  /**
+   * @param {Object} options
+   * @param {string} options.channelName - BroadcastChannel name
+   * @param {string} options.storageKey - localStorage key watched by the fallback
+   * @param {Function} options.beforePublish - Called (and awaited) before an
+   *   event is sent, e.g. to let queued storage writes commit
+   * @param {Function} options.beforeDispatch - Called (and awaited) before a
+   *   remote event is dispatched, e.g. to reload cached storage
+   * @param {Function} options.onReceive - Called with (name, detail) for each
+   *   remote event, just before it is dispatched on window
+   */
+  constructor(options = {}) {
+    this.options = {
+      channelName: 'codedao',
+      storageKey: 'codedao_ai_activities',
+      beforePublish: null,
+      beforeDispatch: null,
+      onReceive: null,
+      ...options
+    };
+
+    this.channel = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+  }
+
+  /**
+   * Start listening for events from other contexts
+   * @returns {TabSync} this
+   */
+  start() {
+    if (typeof window === 'undefined') return this;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.options.channelName);
+      this.channel.addEventListener('message', this.handleMessage);
+    } else {
+      window.addEventListener('storage', this.handleStorage);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop listening and close the channel
+   */
+  stop() {
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.handleMessage);
+      this.channel.close();
+      this.channel = null;
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this.handleStorage);
+    }
+  }
+
+  /**
+   * Send an event to the other contexts
+   * @param {string} name - Event name (e.g., 'codedao:activity')
+   * @param {*} detail - Event payload (must be structured-cloneable)
+   */
+  publish(name, detail) {
+    if (!this.channel) return;
+
+    Promise.resolve(this.options.beforePublish && this.options.beforePublish())
+      .then(() => {
+        if (this.channel) this.channel.postMessage({ name, detail });
+      })
+      .catch(error => {
+        console.warn('CodeDAO SDK: Failed to broadcast event:', name, error);
+      });
+  }
+
+  /**
+   * Dispatch an event received from another context on this window
+   */
+  dispatch(name, detail) {
+    Promise.resolve(this.options.beforeDispatch && this.options.beforeDispatch())
+      .then(() => {
+        if (this.options.onReceive) this.options.onReceive(name, detail);
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+      })
+      .catch(error => {
+        console.error('CodeDAO SDK: Failed to apply synced event:', error);
+      });
+  }
+
+  handleMessage(event) {
+    const { name, detail } = event.data || {};
+    if (typeof name === 'string' && name.startsWith('codedao:')) {
+      this.dispatch(name, detail);
+    }
+  }
+
+  handleStorage(event) {
+    if (event.key !== null && event.key !== this.options.storageKey) return;
+
+    // The storage event only says the store changed, so ask listeners to reload
+    if (event.newValue === null) {
+      this.dispatch('codedao:cleared');
+    } else {
+      this.dispatch('codedao:imported');
+    }
+  }
+}
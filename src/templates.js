@@ -0,0 +1,152 @@
+import { statusConfig, typeConfig } from './schema.js';
+import { getAgentConfig } from './registry.js';
+import { sparkline, barChart } from './charts.js';
+import { html, raw, safeUrl } from './html.js';
+import { renderIcon } from './icons.js';
+
+/**
+ * Activity templates shared by the live dashboard and static reports
+ * They only build markup, so they need neither a DOM nor AgentLogger.
+ */
+
+/**
+ * Format timestamp to relative time
+ * @param {Date} timestamp - Time to format
+ * @returns {string} e.g. '5m ago'
+ */
+export function relativeTime(timestamp) {
+  const now = new Date();
+  const diff = Math.floor((now - timestamp) / 1000);
+  
+  if (diff < 60) return `${diff}s ago`;
+  if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
+  if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
+  return `${Math.floor(diff / 86400)}d ago`;
+}
+
+/**
+ * Create HTML for a single activity
+ * @param {Object} activity - Activity to render
+ * @param {Function} formatTime - Formats the activity's Date (relative time by default)
+ */
+export function activityHTML(activity, formatTime = relativeTime) {
+  const agent = getAgentConfig(activity.agent);
+  const status = statusConfig[activity.status] || statusConfig['info'];
+  const type = typeConfig[activity.type] || typeConfig['info'];
+  
+  const timeAgo = formatTime(new Date(activity.timestamp));
+  
+  return html`
+    <div class="codedao-activity-item" data-activity-id="${activity.id}" style="border-left-color: ${agent.bgColor}">
+      <div class="codedao-activity-header">
+        <div class="codedao-agent-avatar" style="background-color: ${agent.bgColor}">
+          ${agent.icon}
+        </div>
+        <div class="codedao-activity-meta">
+          <span class="codedao-agent-name" style="color: ${agent.textColor}">${agent.name}</span>
+          <div class="codedao-activity-icons">
+            ${renderIcon(type.icon, { color: type.color })}
+            ${renderIcon(status.icon, { color: status.color })}
+          </div>
+        </div>
+        <span class="codedao-timestamp">${timeAgo}</span>
+      </div>
+      <div class="codedao-activity-content">
+        <p class="codedao-activity-action">${activity.action}</p>
+        ${metadataHTML(activity.metadata)}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render activity metadata
+ */
+export function metadataHTML(metadata = {}) {
+  if (!metadata || Object.keys(metadata).length === 0) return '';
+
+  const items = [];
+  
+  if (metadata.commitHash) {
+    items.push(html`
+      <div class="codedao-metadata-item">
+        ${renderIcon('git-branch')}
+        <span>${metadata.commitHash}</span>
+      </div>
+    `);
+  }
+  
+  if (metadata.filePath) {
+    items.push(html`
+      <div class="codedao-metadata-item">
+        ${renderIcon('file')}
+        <span>${metadata.filePath}</span>
+      </div>
+    `);
+  }
+  
+  if (metadata.duration) {
+    items.push(html`
+      <div class="codedao-metadata-item">
+        ${renderIcon('clock')}
+        <span>${metadata.duration}ms</span>
+      </div>
+    `);
+  }
+
+  // Only link to absolute http(s) URLs; anything else (javascript:, data:) is dropped
+  const url = safeUrl(metadata.url);
+  if (url) {
+    items.push(html`
+      <div class="codedao-metadata-item">
+        ${renderIcon('link')}
+        <a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>
+      </div>
+    `);
+  }
+
+  return items.length ? html`<div class="codedao-metadata">${items}</div>` : '';
+}
+
+/**
+ * Create the charts shown below the stats header
+ * @param {Object} analytics - computeAnalytics() result
+ */
+export function analyticsHTML(analytics) {
+  const period = `${analytics.timeline.length} ${analytics.bucket}s`;
+  const formatMs = value => (value == null ? '–' : `${Math.round(value)}ms`);
+
+  const errorRates = Object.entries(analytics.byAgent).map(([agent, data]) => ({
+    label: agent,
+    value: data.errorRate * 100,
+    display: `${Math.round(data.errorRate * 100)}%`,
+    color: getAgentConfig(agent).bgColor
+  }));
+
+  const durationEntries = (group, colorFor) => Object.entries(group)
+    .filter(([, data]) => data.duration.count)
+    .map(([label, data]) => ({
+      label,
+      value: data.duration.p95,
+      display: `${formatMs(data.duration.p50)} / ${formatMs(data.duration.p95)}`,
+      color: colorFor(label)
+    }));
+
+  const agentDurations = durationEntries(analytics.byAgent, agent => getAgentConfig(agent).bgColor);
+  const typeDurations = durationEntries(analytics.byType, type => (typeConfig[type] || typeConfig['info']).color);
+
+  const chart = (title, content) => (content ? html`
+    <div class="codedao-chart">
+      <div class="codedao-chart-title">${title}</div>
+      ${raw(content)}
+    </div>
+  ` : '');
+
+  return html`${[
+    chart(`Activity (last ${period})`, sparkline(analytics.timeline.map(bucket => bucket.count), { width: 280, height: 48 })),
+    chart(`Errors (last ${period})`, sparkline(analytics.timeline.map(bucket => bucket.errors), { width: 280, height: 48, color: '#EF4444' })),
+    chart('Error rate by agent', barChart(errorRates, { width: 320 })),
+    chart('Duration p50 / p95 by agent', barChart(agentDurations, { width: 320, labelWidth: 90 })),
+    chart('Duration p50 / p95 by type', barChart(typeDurations, { width: 320, labelWidth: 90 }))
+  ]}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * Dashboard themes
+ * A theme is a set of design tokens; each token becomes a CSS custom
+ * property (e.g. `textMuted` -> `--codedao-text-muted`) that the dashboard
+ * stylesheet reads.
+ */
+
+export const themes = {
+  light: {
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    radius: '8px',
+    background: '#f9fafb',
+    surface: '#ffffff',
+    surfaceMuted: '#f3f4f6',
+    hover: '#f9fafb',
+    border: '#e5e7eb',
+    borderMuted: '#f3f4f6',
+    inputBorder: '#d1d5db',
+    text: '#1f2937',
+    textStrong: '#374151',
+    textMuted: '#6b7280',
+    textSubtle: '#9ca3af',
+    line: '#9ca3af',
+    accent: '#10b981'
+  },
+  dark: {
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    radius: '8px',
+    background: '#0b1120',
+    surface: '#111827',
+    surfaceMuted: '#1f2937',
+    hover: '#1f2937',
+    border: '#374151',
+    borderMuted: '#1f2937',
+    inputBorder: '#4b5563',
+    text: '#f3f4f6',
+    textStrong: '#e5e7eb',
+    textMuted: '#9ca3af',
+    textSubtle: '#6b7280',
+    line: '#6b7280',
+    accent: '#34d399'
+  },
+  'high-contrast': {
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    radius: '0',
+    background: '#000000',
+    surface: '#000000',
+    surfaceMuted: '#1a1a1a',
+    hover: '#333333',
+    border: '#ffffff',
+    borderMuted: '#ffffff',
+    inputBorder: '#ffffff',
+    text: '#ffffff',
+    textStrong: '#ffffff',
+    textMuted: '#ffffff',
+    textSubtle: '#ffff00',
+    line: '#ffffff',
+    accent: '#00ff00'
+  }
+};
+
+/**
+ * Built-in themes that ship as stylesheet rules rather than inline styles
+ */
+export const builtInThemes = Object.keys(themes);
+
+const toProperty = token => `--codedao-${token.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+
+/**
+ * Convert tokens into CSS custom property declarations
+ * @param {Object} tokens - Theme tokens
+ * @returns {string} Declarations, e.g. "--codedao-text: #1f2937;"
+ */
+export function themeVariables(tokens) {
+  return Object.entries(tokens)
+    .map(([token, value]) => `${toProperty(token)}: ${value};`)
+    .join(' ');
+}
+
+/**
+ * Register a named theme
+ * @param {string} name - Theme name passed as the `theme` option
+ * @param {Object} tokens - Tokens to override; `base` picks the theme to extend (default 'light')
+ * @returns {Object} Resolved theme tokens
+ */
+export function registerTheme(name, tokens = {}) {
+  const { base = 'light', ...overrides } = tokens;
+  themes[name] = { ...(themes[base] || themes.light), ...overrides };
+  return themes[name];
+}
+
+/**
+ * Work out the `data-theme` value and inline variables for a theme option
+ * @param {string|Object} theme - Theme name ('light', 'dark', 'high-contrast',
+ *   'auto' or a registered name) or a custom token object with an optional `base`
+ * @returns {Object} { name, style }
+ */
+export function resolveTheme(theme = 'light') {
+  if (theme && typeof theme === 'object') {
+    const { base = 'light', name = 'custom', ...overrides } = theme;
+    return { name, style: themeVariables({ ...(themes[base] || themes.light), ...overrides }) };
+  }
+
+  if (theme === 'auto' || builtInThemes.includes(theme)) {
+    return { name: theme, style: '' };
+  }
+
+  if (themes[theme]) {
+    return { name: theme, style: themeVariables(themes[theme]) };
+  }
+
+  console.warn('CodeDAO SDK: Unknown theme, using light:', theme);
+  return { name: 'light', style: '' };
+}
+
+/**
+ * Stylesheet rules for the built-in themes; 'auto' follows the OS setting
+ * @returns {string} CSS
+ */
+export function themeStyles() {
+  return `
+  .codedao-dashboard,
+  .codedao-dashboard[data-theme="light"],
+  .codedao-dashboard[data-theme="auto"] {
+    ${themeVariables(themes.light)}
+  }
+
+  .codedao-dashboard[data-theme="dark"] {
+    ${themeVariables(themes.dark)}
+  }
+
+  .codedao-dashboard[data-theme="high-contrast"] {
+    ${themeVariables(themes['high-contrast'])}
+  }
+
+  @media (prefers-color-scheme: dark) {
+    .codedao-dashboard[data-theme="auto"] {
+      ${themeVariables(themes.dark)}
+    }
+  }
+`;
+}
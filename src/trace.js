@@ -0,0 +1,98 @@
+/**
+ * Trace utilities for multi-agent workflows
+ * Activities sharing a `traceId` form a tree through their `parentId` links.
+ */
+
+/**
+ * Generate a random trace identifier
+ * @returns {string} 32 character hex string
+ */
+export function generateTraceId() {
+  const bytes = new Uint8Array(16);
+
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Group activities by trace, newest trace first
+ * @param {Array} activities - Activity objects (any order)
+ * @returns {Map} traceId -> Array of activities in that trace
+ */
+export function groupTraces(activities) {
+  const traces = new Map();
+
+  activities
+    .filter(activity => activity.traceId)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .forEach(activity => {
+      if (!traces.has(activity.traceId)) {
+        traces.set(activity.traceId, []);
+      }
+      traces.get(activity.traceId).push(activity);
+    });
+
+  return traces;
+}
+
+/**
+ * Build the span tree for the activities of a single trace
+ * @param {Array} activities - Activities sharing one traceId
+ * @returns {Array} Root spans: { activity, start, end, depth, children }
+ */
+export function buildTraceTree(activities) {
+  const spans = new Map();
+
+  activities
+    .slice()
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(activity => {
+      const start = new Date(activity.timestamp).getTime();
+      const duration = activity.metadata?.duration || 0;
+      spans.set(activity.id, { activity, start, end: start + duration, depth: 0, children: [] });
+    });
+
+  const roots = [];
+  spans.forEach(span => {
+    const parent = span.activity.parentId != null ? spans.get(span.activity.parentId) : null;
+    if (parent && parent !== span) {
+      parent.children.push(span);
+    } else {
+      roots.push(span);
+    }
+  });
+
+  // Assign depths and stretch parents to cover their children
+  const visit = (span, depth) => {
+    span.depth = depth;
+    span.children.forEach(child => {
+      visit(child, depth + 1);
+      span.end = Math.max(span.end, child.end);
+    });
+  };
+  roots.forEach(root => visit(root, 0));
+
+  return roots;
+}
+
+/**
+ * Flatten a span tree into display order (parents before children)
+ * @param {Array} roots - Root spans from buildTraceTree
+ * @returns {Array} Spans in depth-first order
+ */
+export function flattenTraceTree(roots) {
+  const spans = [];
+  const walk = span => {
+    spans.push(span);
+    span.children.forEach(walk);
+  };
+  roots.forEach(walk);
+  return spans;
+}
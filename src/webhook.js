@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import { AgentLogger } from './agentLogger.js';
+import { CommitIngester } from './commitIngest.js';
+
+/**
+ * Verify a GitHub `X-Hub-Signature-256` header
+ * @param {string} secret - Webhook secret configured on GitHub
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - Header value ('sha256=<hex>')
+ * @returns {boolean} Whether the signature is valid
+ */
+export function verifySignature(secret, payload, signature) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
+  if (typeof payload !== 'string' && !Buffer.isBuffer(payload)) return false;
+
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(signature);
+
+  return expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Map a check/workflow conclusion onto an activity status
+ */
+function runStatus(status, conclusion) {
+  if (status !== 'completed') return 'processing';
+  if (conclusion === 'success') return 'success';
+  if (['failure', 'timed_out', 'action_required', 'startup_failure'].includes(conclusion)) return 'error';
+  return 'warning'; // cancelled, skipped, neutral, stale
+}
+
+/**
+ * Milliseconds between two ISO timestamps, when both are present
+ */
+function elapsed(start, end) {
+  if (!start || !end) return null;
+  const duration = new Date(end) - new Date(start);
+  return duration >= 0 ? duration : null;
+}
+
+/**
+ * Id suffix telling repeated actions on one pull request or issue apart (a
+ * second push, another label, a close after a reopen): the delivery GUID
+ * when known, else the object's updated_at. Redeliveries share both.
+ */
+function revision(delivery, updatedAt) {
+  const key = delivery || updatedAt;
+  return key ? `-${key}` : '';
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that a payload field is an object with the given string/number fields
+ * @param {*} value - Payload field (e.g., payload.pull_request)
+ * @param {Object} fields - Field name -> expected typeof
+ * @returns {boolean} Whether the shape matches
+ */
+function hasShape(value, fields) {
+  return isObject(value) && Object.entries(fields).every(([field, type]) => typeof value[field] === type);
+}
+
+/**
+ * Required fields of the payloads we map, by event
+ */
+const PAYLOAD_SHAPES = {
+  pull_request: payload => typeof payload.action === 'string' &&
+    hasShape(payload.pull_request, { id: 'number', number: 'number', title: 'string' }),
+  issues: payload => typeof payload.action === 'string' &&
+    hasShape(payload.issue, { id: 'number', number: 'number', title: 'string' }),
+  check_run: payload => hasShape(payload.check_run, { id: 'number', name: 'string', status: 'string' }),
+  workflow_run: payload => hasShape(payload.workflow_run, { id: 'number', name: 'string', status: 'string' })
+};
+
+/**
+ * GitHubWebhookAdapter - Verifies GitHub webhook deliveries and maps
+ * push, pull_request, issues, check_run and workflow_run payloads into
+ * activities recorded through AgentLogger.
+ */
+export class GitHubWebhookAdapter {
+  constructor(options = {}) {
+    this.options = {
+      secret: null, // Required: deliveries are rejected until one is set
+      agentLogins: {}, // GitHub login -> agent name, checked before attribution rules
+      ...options
+    };
+
+    if (!this.options.secret) {
+      console.warn('CodeDAO SDK: GitHub webhook secret not set; every delivery will be rejected');
+    }
+
+    this.ingester = new CommitIngester(this.options);
+  }
+
+  /**
+   * Attribute a non-commit event to an agent
+   * @param {Object} user - GitHub user object of the actor
+   * @param {string} text - Title and body of the item
+   * @returns {string} Agent name, or the ingester's fallback agent
+   */
+  attributeActor(user, text = '') {
+    const login = user?.login || '';
+    if (this.options.agentLogins[login]) return this.options.agentLogins[login];
+    return this.ingester.attribute({ authorName: login, authorEmail: '', message: text });
+  }
+
+  /**
+   * Map a webhook payload to activities
+   * @param {string} event - `X-GitHub-Event` header value
+   * @param {Object} payload - Parsed webhook body
+   * @param {string} delivery - `X-GitHub-Delivery` header value (optional)
+   * @returns {Array|null} Activities (unvalidated, not yet recorded), or null
+   *   when the payload doesn't have the shape of the event
+   */
+  map(event, payload, delivery = null) {
+    if (!isObject(payload)) return null;
+    if (PAYLOAD_SHAPES[event] && !PAYLOAD_SHAPES[event](payload)) return null;
+
+    const repository = typeof payload.repository?.full_name === 'string' ? payload.repository.full_name : null;
+    const base = (metadata) => (repository ? { repository, ...metadata } : metadata);
+
+    switch (event) {
+      case 'push': {
+        if (payload.commits !== undefined && !Array.isArray(payload.commits)) return null;
+
+        const branch = (typeof payload.ref === 'string' ? payload.ref : '').replace(/^refs\/(heads|tags)\//, '');
+        return (payload.commits || [])
+          .filter(commit => hasShape(commit, { id: 'string' }))
+          .map(commit => this.ingester.toActivity(commit, base({ branch })));
+      }
+
+      case 'pull_request': {
+        const pr = payload.pull_request;
+        const merged = payload.action === 'closed' && pr.merged;
+        const verb = merged ? 'Merged' : payload.action.charAt(0).toUpperCase() + payload.action.slice(1).replace(/_/g, ' ');
+        const status = merged ? 'success' : payload.action === 'closed' ? 'warning' : 'info';
+
+        return [{
+          id: `pull_request-${pr.id}-${payload.action}${revision(delivery, pr.updated_at)}`,
+          timestamp: new Date(pr.updated_at || Date.now()).toISOString(),
+          agent: this.attributeActor(pr.user, `${pr.title}\n\n${pr.body || ''}`),
+          action: `${verb} pull request #${pr.number}: ${pr.title}`,
+          type: 'collaboration',
+          status,
+          metadata: base({ pullRequest: pr.number, url: pr.html_url, branch: pr.head?.ref })
+        }];
+      }
+
+      case 'issues': {
+        const issue = payload.issue;
+        const isBug = (Array.isArray(issue.labels) ? issue.labels : []).some(label => /bug/i.test(label?.name));
+        const verb = payload.action.charAt(0).toUpperCase() + payload.action.slice(1).replace(/_/g, ' ');
+
+        return [{
+          id: `issue-${issue.id}-${payload.action}${revision(delivery, issue.updated_at)}`,
+          timestamp: new Date(issue.updated_at || Date.now()).toISOString(),
+          agent: this.attributeActor(payload.sender || issue.user, `${issue.title}\n\n${issue.body || ''}`),
+          action: `${verb} issue #${issue.number}: ${issue.title}`,
+          type: isBug ? 'detection' : 'info',
+          status: payload.action === 'closed' ? 'success' : 'info',
+          metadata: base({ issue: issue.number, url: issue.html_url })
+        }];
+      }
+
+      case 'check_run': {
+        const run = payload.check_run;
+        const metadata = base({
+          url: run.html_url,
+          branch: run.check_suite?.head_branch,
+          commitHash: run.head_sha?.substring(0, 7)
+        });
+        const duration = elapsed(run.started_at, run.completed_at);
+        if (duration !== null) metadata.duration = duration;
+
+        return [{
+          id: `check_run-${run.id}`,
+          timestamp: new Date(run.started_at || Date.now()).toISOString(),
+          agent: this.attributeActor(payload.sender, run.name),
+          action: `Check "${run.name}" ${run.status === 'completed' ? run.conclusion : run.status.replace(/_/g, ' ')}`,
+          type: 'validation',
+          status: runStatus(run.status, run.conclusion),
+          metadata
+        }];
+      }
+
+      case 'workflow_run': {
+        const run = payload.workflow_run;
+        const headCommit = run.head_commit;
+        const agent = headCommit
+          ? this.ingester.attribute(headCommit)
+          : this.attributeActor(payload.sender, run.name);
+        const metadata = base({
+          url: run.html_url,
+          branch: run.head_branch,
+          commitHash: run.head_sha?.substring(0, 7)
+        });
+        const duration = run.status === 'completed' ? elapsed(run.run_started_at, run.updated_at) : null;
+        if (duration !== null) metadata.duration = duration;
+
+        return [{
+          id: `workflow_run-${run.id}`,
+          timestamp: new Date(run.run_started_at || run.created_at || Date.now()).toISOString(),
+          agent,
+          action: `Workflow "${run.name}" ${run.status === 'completed' ? run.conclusion : run.status.replace(/_/g, ' ')}`,
+          type: /deploy|release/i.test(run.name) ? 'deployment' : 'validation',
+          status: runStatus(run.status, run.conclusion),
+          metadata
+        }];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Verify, map and record a webhook delivery
+   * Check and workflow runs update their existing activity in place as
+   * they progress; other events are recorded once.
+   *
+   * @param {Object} delivery
+   * @param {string} delivery.event - `X-GitHub-Event` header value
+   * @param {string} delivery.signature - `X-Hub-Signature-256` header value
+   * @param {string|Buffer} delivery.body - Raw request body
+   * @param {string} delivery.id - `X-GitHub-Delivery` header value (optional)
+   * @returns {Object} { ok, status, activities, error }
+   */
+  handle({ event, signature, body, id = null }) {
+    if (!this.options.secret) {
+      return { ok: false, status: 401, activities: [], error: 'Webhook secret not configured' };
+    }
+
+    if (!verifySignature(this.options.secret, body, signature)) {
+      return { ok: false, status: 401, activities: [], error: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString());
+    } catch (error) {
+      return { ok: false, status: 400, activities: [], error: 'Invalid JSON' };
+    }
+
+    let mapped;
+    try {
+      mapped = this.map(event, payload, id);
+    } catch (error) {
+      mapped = null;
+    }
+
+    if (!mapped) {
+      return { ok: false, status: 400, activities: [], error: `Malformed ${event} payload` };
+    }
+
+    const { includeHumans, fallbackAgent } = this.ingester.options;
+    const known = new Set(AgentLogger.getActivities().map(activity => activity.id));
+
+    const activities = mapped
+      .filter(activity => includeHumans || activity.agent !== fallbackAgent)
+      .map(activity => {
+        if (!known.has(activity.id)) {
+          return AgentLogger.record(activity);
+        }
+        if (activity.id.startsWith('check_run-') || activity.id.startsWith('workflow_run-')) {
+          const { action, status, metadata } = activity;
+          return AgentLogger.updateActivity(activity.id, { action, status, metadata });
+        }
+        return false; // Redelivery of an event we already recorded
+      })
+      .filter(Boolean);
+
+    return { ok: true, status: 202, activities };
+  }
+}
@@ -0,0 +1,139 @@
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { AlertEngine } from '../src/alerts.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2024-03-12T15:00:00.000Z');
+
+/**
+ * Record an activity that happened some minutes before NOW
+ */
+const logAt = (minutesAgo, agent, status = 'success') => AgentLogger.record({
+  ...AgentLogger.createActivity(agent, `${status} step`, 'validation', status),
+  timestamp: new Date(NOW - minutesAgo * MINUTE).toISOString()
+});
+
+const activeRules = engine => engine.getActiveAlerts().map(alert => alert.ruleId);
+
+let engine;
+
+beforeEach(() => {
+  AgentLogger.useStorage(new MemoryAdapter());
+});
+
+afterEach(() => {
+  engine.stop();
+});
+
+describe('errorRate', () => {
+  beforeEach(() => {
+    engine = new AlertEngine({ rules: [{ id: 'errors', type: 'errorRate', threshold: 0.5, window: 10 * MINUTE }] });
+  });
+
+  test('fires above the threshold within the window', () => {
+    [1, 2, 3].forEach(minutes => logAt(minutes, 'Claude', 'error'));
+    [4, 5].forEach(minutes => logAt(minutes, 'Claude'));
+
+    engine.evaluate(NOW);
+
+    expect(engine.getActiveAlerts()[0]).toMatchObject({ ruleId: 'errors', message: 'All agents: error rate 60% over the last 10 minutes' });
+  });
+
+  test('ignores activities outside the window and resolves once they age out', () => {
+    [1, 2, 3].forEach(minutes => logAt(minutes, 'Claude', 'error'));
+    [4, 5].forEach(minutes => logAt(minutes, 'Claude'));
+    [20, 21, 22, 23, 24, 25].forEach(minutes => logAt(minutes, 'Claude'));
+
+    engine.evaluate(NOW);
+    expect(activeRules(engine)).toEqual(['errors']);
+
+    engine.evaluate(NOW + 10 * MINUTE);
+    expect(activeRules(engine)).toEqual([]);
+  });
+});
+
+describe('stuckProcessing', () => {
+  test('fires for activities processing longer than maxDuration', () => {
+    engine = new AlertEngine({ rules: [{ id: 'stuck', type: 'stuckProcessing', maxDuration: 15 * MINUTE }] });
+    logAt(10, 'Claude', 'processing');
+
+    engine.evaluate(NOW);
+    expect(activeRules(engine)).toEqual([]);
+
+    engine.evaluate(NOW + 10 * MINUTE);
+    expect(engine.getActiveAlerts()[0]).toMatchObject({
+      ruleId: 'stuck',
+      message: '1 activity has been processing for over 15 minutes'
+    });
+  });
+});
+
+describe('silentAgent', () => {
+  test('fires when an agent has not logged within maxSilence', () => {
+    engine = new AlertEngine({ rules: [{ id: 'silent', type: 'silentAgent', agent: 'Gemini', maxSilence: 60 * MINUTE }] });
+    logAt(90, 'Gemini');
+
+    engine.evaluate(NOW);
+    expect(engine.getActiveAlerts()[0]).toMatchObject({ ruleId: 'silent', message: 'Gemini has been silent for 90 minutes' });
+
+    logAt(0, 'Gemini');
+    engine.evaluate(NOW);
+    expect(activeRules(engine)).toEqual([]);
+  });
+});
+
+describe('dismiss', () => {
+  beforeEach(() => {
+    engine = new AlertEngine({ rules: [{ id: 'stuck', type: 'stuckProcessing', maxDuration: 15 * MINUTE }] });
+  });
+
+  test('snoozes a condition alert until the condition clears', () => {
+    const activity = logAt(20, 'Claude', 'processing');
+    engine.evaluate(NOW);
+
+    engine.dismiss('stuck');
+    engine.evaluate(NOW);
+    expect(activeRules(engine)).toEqual([]);
+
+    AgentLogger.updateActivity(activity.id, { status: 'success' });
+    engine.evaluate(NOW);
+    logAt(20, 'Claude', 'processing');
+    engine.evaluate(NOW);
+
+    expect(activeRules(engine)).toEqual(['stuck']);
+  });
+
+  test('notifies listeners that the alert resolved', () => {
+    const events = [];
+    engine.subscribe(event => events.push(`${event.type}:${event.alert.id}`));
+    logAt(20, 'Claude', 'processing');
+
+    engine.evaluate(NOW);
+    engine.dismiss('stuck');
+
+    expect(events).toEqual(['fired:stuck', 'resolved:stuck']);
+  });
+});
+
+describe('match', () => {
+  const logErrors = count => Array.from({ length: count }, (_, i) => AgentLogger.log('Claude', `Failure ${i}`, 'security', 'error'));
+
+  test('keeps only the latest maxActive alerts', () => {
+    engine = new AlertEngine({ rules: [{ id: 'security', type: 'match', criteria: { type: 'security' }, maxActive: 2 }] }).start();
+
+    const failures = logErrors(3);
+
+    expect(engine.getActiveAlerts().map(alert => alert.activities[0].id).sort())
+      .toEqual([failures[1].id, failures[2].id].sort());
+  });
+
+  test('resolves alerts after expireAfter', () => {
+    engine = new AlertEngine({ rules: [{ id: 'security', type: 'match', criteria: { type: 'security' }, expireAfter: 30 * MINUTE }] }).start();
+    logErrors(2);
+    expect(engine.getActiveAlerts()).toHaveLength(2);
+
+    engine.evaluate(Date.now() + 31 * MINUTE);
+
+    expect(engine.getActiveAlerts()).toEqual([]);
+  });
+});
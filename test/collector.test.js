@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { Collector } from '../src/collector.js';
+import { CollectorClient } from '../src/collectorClient.js';
+
+const SECRET = 'test-secret';
+const sign = body => 'sha256=' + crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+let collector;
+let baseUrl;
+
+async function startCollector(options = {}) {
+  collector = await new Collector({ port: 0, storage: new MemoryAdapter(), ...options }).start();
+  baseUrl = `http://127.0.0.1:${collector.server.address().port}`;
+}
+
+const postWebhook = (event, body, signature = sign(body), delivery = crypto.randomUUID()) => fetch(`${baseUrl}/webhooks/github`, {
+  method: 'POST',
+  headers: {
+    'X-GitHub-Event': event,
+    'X-GitHub-Delivery': delivery,
+    'X-Hub-Signature-256': signature,
+    'Content-Type': 'application/json'
+  },
+  body
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  console.warn.mockRestore();
+  await collector.stop();
+});
+
+describe('GitHub webhooks', () => {
+  test('malformed deliveries get 400 and the collector keeps serving', async () => {
+    await startCollector({ webhook: { secret: SECRET } });
+
+    expect((await postWebhook('issues', '{}')).status).toBe(400);
+    expect((await postWebhook('pull_request', '{"action":"opened"}')).status).toBe(400);
+    expect((await postWebhook('pull_request', 'null')).status).toBe(400);
+
+    const response = await fetch(`${baseUrl}/activities`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([]);
+  });
+
+  test('redeliveries are dropped but repeated events are kept', async () => {
+    await startCollector({ webhook: { secret: SECRET, agentLogins: { 'claude-agent': 'Claude' } } });
+    const body = readFileSync(new URL('./fixtures/webhooks/pull_request.json', import.meta.url), 'utf8')
+      .replace('"closed"', '"synchronize"');
+
+    await postWebhook('pull_request', body, sign(body), 'delivery-1');
+    await postWebhook('pull_request', body, sign(body), 'delivery-1');
+    await postWebhook('pull_request', body, sign(body), 'delivery-2');
+
+    expect(AgentLogger.getActivities()).toHaveLength(2);
+  });
+
+  test('unsigned deliveries are rejected when no secret is configured', async () => {
+    await startCollector({ webhook: {} });
+    const body = JSON.stringify({ commits: [{ id: 'abc123', message: 'Automated fix', author: { name: 'x', email: 'x@y.z' } }] });
+
+    expect((await postWebhook('push', body, undefined)).status).toBe(401);
+    expect(AgentLogger.getActivities()).toEqual([]);
+  });
+});
+
+describe('CORS', () => {
+  const preflight = origin => fetch(`${baseUrl}/activities`, {
+    method: 'OPTIONS',
+    headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' }
+  });
+
+  test('sends no CORS headers by default', async () => {
+    await startCollector();
+
+    const response = await preflight('https://evil.example');
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  test('allows only the configured origins', async () => {
+    await startCollector({ allowOrigin: ['http://localhost:3000'] });
+
+    const allowed = await preflight('http://localhost:3000');
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('http://localhost:3000');
+    expect(allowed.headers.get('access-control-allow-headers')).toContain('Authorization');
+    expect(allowed.headers.get('vary')).toBe('Origin');
+
+    const denied = await preflight('https://evil.example');
+    expect(denied.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  test("'*' allows any origin", async () => {
+    await startCollector({ allowOrigin: '*' });
+
+    expect((await preflight('https://example.com')).headers.get('access-control-allow-origin')).toBe('*');
+  });
+});
+
+describe('write token', () => {
+  const activity = { agent: 'Claude', action: 'Reviewed PR', type: 'analysis', status: 'success' };
+  const request = (method, token, body) => fetch(`${baseUrl}/activities`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body && JSON.stringify(body)
+  });
+
+  test('rejects writes and deletes without the token', async () => {
+    await startCollector({ token: 'sekrit' });
+
+    expect((await request('POST', null, activity)).status).toBe(401);
+    expect((await request('POST', 'wrong', activity)).status).toBe(401);
+    expect((await request('DELETE', 'wrong')).status).toBe(401);
+    expect(AgentLogger.getActivities()).toEqual([]);
+  });
+
+  test('accepts writes and deletes with the token', async () => {
+    await startCollector({ token: 'sekrit' });
+
+    expect((await request('POST', 'sekrit', activity)).status).toBe(202);
+    expect((await fetch(`${baseUrl}/activities`)).status).toBe(200);
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+
+    expect((await request('DELETE', 'sekrit')).status).toBe(200);
+    expect(AgentLogger.getActivities()).toEqual([]);
+  });
+
+  test('CollectorClient sends its token', async () => {
+    await startCollector({ token: 'sekrit' });
+
+    expect(await new CollectorClient(baseUrl, { token: 'sekrit' }).send({ ...activity, id: 'a1' })).toBe(true);
+    expect(AgentLogger.getActivities().map(stored => stored.id)).toEqual(['a1']);
+  });
+});
+
+describe('POST /activities', () => {
+  const activity = {
+    id: 'run-1',
+    timestamp: '2024-03-12T15:04:11.000Z',
+    agent: 'Claude',
+    action: 'Running test suite',
+    type: 'validation',
+    status: 'processing'
+  };
+  const post = body => fetch(`${baseUrl}/activities`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(response => response.json());
+
+  test('skips activities it already has', async () => {
+    await startCollector();
+
+    expect(await post(activity)).toMatchObject({ accepted: 1, duplicates: 0 });
+    expect(await post([activity, activity])).toMatchObject({ accepted: 0, duplicates: 2 });
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+  });
+
+  test('updates an activity resent after a later change', async () => {
+    await startCollector();
+    await post(activity);
+
+    const result = await post({ ...activity, status: 'success', updatedAt: '2024-03-12T15:06:00.000Z' });
+
+    expect(result).toMatchObject({ accepted: 1, duplicates: 0 });
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+    expect(AgentLogger.getActivities()[0].status).toBe('success');
+  });
+});
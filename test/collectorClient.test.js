@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { CollectorClient } from '../src/collectorClient.js';
+
+const remote = {
+  id: 'remote-1',
+  timestamp: '2024-03-12T15:04:11.000Z',
+  agent: 'GPT-4',
+  action: 'Wrote tests',
+  type: 'validation',
+  status: 'success'
+};
+
+const respond = (body, status = 200) => jest.spyOn(globalThis, 'fetch')
+  .mockResolvedValue(new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } }));
+
+let storage;
+
+beforeEach(() => {
+  storage = new MemoryAdapter();
+  AgentLogger.useStorage(storage);
+  AgentLogger.log('Claude', 'Local activity');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CollectorClient.connect', () => {
+  test('merges into the current storage by default', async () => {
+    respond([remote]);
+
+    await new CollectorClient('http://collector.test').connect();
+
+    expect(AgentLogger.storage).toBe(storage);
+    expect(AgentLogger.getActivities().map(activity => activity.agent).sort()).toEqual(['Claude', 'GPT-4']);
+  });
+
+  test('mirror switches to an in-memory copy of the collector', async () => {
+    respond([remote]);
+
+    await new CollectorClient('http://collector.test').connect({ mirror: true });
+
+    expect(AgentLogger.storage).not.toBe(storage);
+    expect(AgentLogger.getActivities().map(activity => activity.id)).toEqual(['remote-1']);
+    expect(storage.read(AgentLogger.STORE_NAME)).toHaveLength(1);
+  });
+
+  test('disconnect restores the storage a mirror replaced', async () => {
+    respond([remote]);
+    const client = new CollectorClient('http://collector.test');
+
+    await client.connect({ mirror: true });
+    client.disconnect();
+
+    expect(AgentLogger.storage).toBe(storage);
+    expect(AgentLogger.getActivities().map(activity => activity.agent)).toEqual(['Claude']);
+  });
+
+  test.each([
+    ['an error response', { error: 'Unauthorized' }, 401],
+    ['a non-array body', { activities: [remote] }, 200]
+  ])('leaves storage alone on %s', async (name, body, status) => {
+    respond(body, status);
+
+    expect(await new CollectorClient('http://collector.test').connect({ mirror: true })).toBe(false);
+    expect(AgentLogger.storage).toBe(storage);
+    expect(AgentLogger.getActivities().map(activity => activity.agent)).toEqual(['Claude']);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('reports a successful sync when live updates are unavailable', async () => {
+    respond([remote]);
+
+    expect(typeof EventSource).toBe('undefined');
+    expect(await new CollectorClient('http://collector.test').connect()).toBe(true);
+  });
+
+  test('skips invalid records from the collector', async () => {
+    respond([remote, { id: 'bad', agent: '' }]);
+
+    await new CollectorClient('http://collector.test').connect();
+
+    expect(AgentLogger.getActivities().map(activity => activity.id)).not.toContain('bad');
+  });
+});
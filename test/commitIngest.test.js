@@ -0,0 +1,136 @@
+import { readFileSync } from 'fs';
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { CommitIngester, parseTrailers, normalizeCommit } from '../src/commitIngest.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const restCommits = fixture('github-rest-commits.json');
+const pushCommits = fixture('github-push.json').commits;
+
+beforeEach(() => AgentLogger.useStorage(new MemoryAdapter()));
+
+describe('parseTrailers', () => {
+  test('reads trailers from the last paragraph', () => {
+    expect(parseTrailers(restCommits[0].commit.message)).toEqual([
+      { key: 'Co-Authored-By', value: 'Claude <noreply@anthropic.com>' }
+    ]);
+  });
+
+  test('ignores single-paragraph messages', () => {
+    expect(parseTrailers('Co-Authored-By: Claude <noreply@anthropic.com>')).toEqual([]);
+  });
+
+  test('ignores a last paragraph that is not all trailers', () => {
+    expect(parseTrailers('Subject\n\nSee: the docs\nand this line')).toEqual([]);
+  });
+
+  test('returns every trailer', () => {
+    const message = 'Subject\n\nBody\n\nCo-authored-by: A <a@x.io>\nSigned-off-by: B <b@x.io>';
+    expect(parseTrailers(message).map(trailer => trailer.key)).toEqual(['Co-authored-by', 'Signed-off-by']);
+  });
+});
+
+describe('normalizeCommit', () => {
+  test('reads GitHub REST commits', () => {
+    expect(normalizeCommit(restCommits[0])).toMatchObject({
+      sha: '9f2c4e1a7b3d5f6081a2b3c4d5e6f708192a3b4c',
+      authorName: 'Dana Reyes',
+      authorEmail: 'dana@example.com',
+      date: '2024-03-12T15:04:11Z',
+      url: restCommits[0].html_url
+    });
+  });
+
+  test('reads push webhook commits', () => {
+    expect(normalizeCommit(pushCommits[0])).toMatchObject({
+      sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+      authorName: 'Multi-AI Agent',
+      date: '2024-03-13T08:22:31-05:00'
+    });
+  });
+});
+
+describe('CommitIngester.attribute', () => {
+  const ingester = new CommitIngester();
+
+  test('trailer rules attribute co-authored commits', () => {
+    expect(ingester.attribute(restCommits[0])).toBe('Claude');
+    expect(ingester.attribute(pushCommits[1])).toBe('Copilot');
+  });
+
+  test('email rules combine with keywords', () => {
+    expect(ingester.attribute(restCommits[1])).toBe('ChatGPT');
+    expect(ingester.attribute({ message: 'Tidy imports', authorEmail: 'ai@codedao.org' })).toBe('Claude');
+  });
+
+  test('author name rules', () => {
+    expect(ingester.attribute(pushCommits[0])).toBe('Claude');
+  });
+
+  test('keyword rules', () => {
+    expect(ingester.attribute({ message: 'Automated dependency bump', authorEmail: 'dev@example.com' })).toBe('Claude');
+    expect(ingester.attribute({ message: 'Automated ChatGPT cleanup', authorEmail: 'dev@example.com' })).toBe('ChatGPT');
+  });
+
+  test('unmatched commits fall back to the human agent', () => {
+    expect(ingester.attribute(restCommits[2])).toBe('Human');
+    expect(ingester.attribute(pushCommits[2])).toBe('Human');
+  });
+
+  test('custom rules replace the defaults', () => {
+    const custom = new CommitIngester({ attributionRules: [{ agent: 'Gemini', email: /@example\.com$/ }] });
+    expect(custom.attribute(restCommits[2])).toBe('Gemini');
+    expect(custom.attribute(restCommits[1])).toBe('Human');
+  });
+});
+
+describe('CommitIngester.convert', () => {
+  test('converts REST commits into valid activities', () => {
+    const activities = new CommitIngester({ repository: 'CodeDAO-org/codedao-dashboard-sdk' }).convert(restCommits);
+
+    expect(activities).toHaveLength(2);
+    expect(activities[0]).toMatchObject({
+      id: 'commit-9f2c4e1a7b3d5f6081a2b3c4d5e6f708192a3b4c',
+      timestamp: '2024-03-12T15:04:11.000Z',
+      agent: 'Claude',
+      action: 'Fix race in collector shutdown',
+      type: 'detection',
+      status: 'success',
+      metadata: {
+        commitHash: '9f2c4e1',
+        author: 'Dana Reyes',
+        url: restCommits[0].html_url,
+        repository: 'CodeDAO-org/codedao-dashboard-sdk'
+      }
+    });
+    expect(activities[1]).toMatchObject({ agent: 'ChatGPT', type: 'validation' });
+  });
+
+  test('converts push webhook commits', () => {
+    const activities = new CommitIngester().convert(pushCommits);
+
+    expect(activities.map(activity => [activity.agent, activity.type])).toEqual([
+      ['Claude', 'optimization'],
+      ['Copilot', 'security']
+    ]);
+    expect(activities[0].timestamp).toBe('2024-03-13T13:22:31.000Z');
+  });
+
+  test('includeHumans keeps commits no rule attributes', () => {
+    const activities = new CommitIngester({ includeHumans: true }).convert(pushCommits);
+
+    expect(activities).toHaveLength(3);
+    expect(activities[2]).toMatchObject({ agent: 'Human', type: 'deployment' });
+  });
+});
+
+describe('CommitIngester.ingest', () => {
+  test('records new commits oldest first and skips known ones', () => {
+    const ingester = new CommitIngester();
+
+    expect(ingester.ingest(restCommits)).toHaveLength(2);
+    expect(AgentLogger.getActivities().map(activity => activity.agent)).toEqual(['Claude', 'ChatGPT']);
+    expect(ingester.ingest(restCommits)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { TextEncoder } from 'util';
+import { AgentLogger } from '../src/agentLogger.js';
+import { Dashboard } from '../src/dashboard.js';
+
+const RENDER_METHODS = ['renderActivities', 'renderActivityList', 'renderPanels', 'addActivity', 'updateActivity'];
+const EVENTS = ['codedao:activity', 'codedao:updated', 'codedao:cleared', 'codedao:imported', 'codedao:compacted'];
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 150));
+
+/**
+ * Render calls made on one dashboard instance
+ */
+const renderCalls = dashboard => RENDER_METHODS.reduce((count, method) =>
+  count + Dashboard.prototype[method].mock.contexts.filter(context => context === dashboard).length, 0);
+
+const agentsIn = selector => Array.from(document.querySelectorAll(`${selector} .codedao-activity-item .codedao-agent-name`))
+  .map(element => element.textContent);
+
+let first;
+let second;
+
+beforeAll(() => {
+  // jsdom doesn't expose TextEncoder, which the integrity chain hashes with
+  globalThis.TextEncoder ??= TextEncoder;
+  AgentLogger.disableSync();
+});
+
+beforeEach(() => {
+  AgentLogger.clear();
+  RENDER_METHODS.forEach(method => jest.spyOn(Dashboard.prototype, method));
+
+  document.body.innerHTML = '<div id="first"></div><div id="second"></div>';
+  first = new Dashboard('#first', { autoRefresh: false, filters: { agent: 'Claude' } });
+  second = new Dashboard(document.querySelector('#second'), { autoRefresh: false, filters: { agent: 'GPT-4' } });
+});
+
+afterEach(() => {
+  first.destroy();
+  second.destroy();
+  jest.restoreAllMocks();
+});
+
+describe('two dashboards on one page', () => {
+  test('render only their own scope', async () => {
+    AgentLogger.log('Claude', 'Reviewed PR', 'analysis');
+    AgentLogger.log('GPT-4', 'Wrote tests', 'validation');
+    await settle();
+
+    expect(agentsIn('#first')).toEqual(['Claude']);
+    expect(agentsIn('#second')).toEqual(['GPT-4']);
+  });
+
+  test('do not share element ids', () => {
+    const ids = Array.from(document.querySelectorAll('[id]')).map(element => element.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('keep filters and drawers separate', async () => {
+    AgentLogger.log('Claude', 'Reviewed PR', 'analysis');
+    AgentLogger.log('GPT-4', 'Wrote tests', 'validation');
+    await settle();
+
+    const typeOptions = selector => Array.from(document.querySelectorAll(`${selector} .codedao-filter-type option`))
+      .map(option => option.value);
+    expect(typeOptions('#first')).toEqual(['', 'analysis']);
+    expect(typeOptions('#second')).toEqual(['', 'validation']);
+
+    const search = document.querySelector('#first .codedao-filter-search');
+    search.value = 'tests';
+    search.dispatchEvent(new Event('input'));
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(agentsIn('#first')).toEqual([]);
+    expect(agentsIn('#second')).toEqual(['GPT-4']);
+
+    document.querySelector('#second .codedao-activity-item').click();
+    expect(document.querySelector('#second .codedao-drawer').hidden).toBe(false);
+    expect(document.querySelector('#first .codedao-drawer').hidden).toBe(true);
+  });
+});
+
+describe('mount/unmount cycles', () => {
+  test('destroy() empties the container', () => {
+    first.destroy();
+    expect(document.querySelector('#first').innerHTML).toBe('');
+  });
+
+  test('destroyed dashboards ignore codedao:* events', async () => {
+    first.destroy();
+    second.destroy();
+    await settle();
+
+    const before = [renderCalls(first), renderCalls(second)];
+
+    AgentLogger.log('Claude', 'Logged after destroy');
+    const activity = AgentLogger.getActivities()[0];
+    AgentLogger.updateActivity(activity.id, { status: 'error' });
+    EVENTS.forEach(name => window.dispatchEvent(new CustomEvent(name, { detail: activity })));
+    AgentLogger.clear();
+    await settle();
+
+    expect([renderCalls(first), renderCalls(second)]).toEqual(before);
+    expect(document.querySelector('#first').innerHTML).toBe('');
+    expect(document.querySelector('#second').innerHTML).toBe('');
+  });
+
+  test('destroying one dashboard leaves the other live', async () => {
+    first.destroy();
+    const before = renderCalls(first);
+
+    AgentLogger.log('GPT-4', 'Still streaming');
+    await settle();
+
+    expect(renderCalls(first)).toBe(before);
+    expect(agentsIn('#second')).toEqual(['GPT-4']);
+  });
+
+  test('remounting into the same container does not duplicate listeners', async () => {
+    first.destroy();
+    first = new Dashboard('#first', { autoRefresh: false, filters: { agent: 'Claude' } });
+    first.destroy();
+    first = new Dashboard('#first', { autoRefresh: false, filters: { agent: 'Claude' } });
+    Dashboard.prototype.addActivity.mockClear();
+
+    AgentLogger.log('Claude', 'One row');
+    await settle();
+
+    expect(Dashboard.prototype.addActivity.mock.contexts.filter(context => context === first)).toHaveLength(1);
+    expect(agentsIn('#first')).toEqual(['Claude']);
+  });
+});
+
+describe('stats panel', () => {
+  afterEach(() => {
+    AgentLogger.setRetentionPolicy({ maxActivities: null });
+  });
+
+  test('lists agents whose activities were all rolled up', () => {
+    AgentLogger.log('Gemini', 'Summarized thread');
+    AgentLogger.log('Claude', 'Reviewed PR');
+    AgentLogger.setRetentionPolicy({ maxActivities: 1 });
+
+    const dashboard = new Dashboard('#first', { autoRefresh: false });
+    expect(() => dashboard.renderPanels()).not.toThrow();
+
+    const rates = Array.from(document.querySelectorAll('#first .codedao-agent-stat')).map(element => [
+      element.querySelector('.codedao-agent-name').textContent,
+      element.querySelector('.codedao-agent-rate').textContent
+    ]);
+    expect(rates).toEqual(expect.arrayContaining([['Claude', '100% success'], ['Gemini', 'Compacted']]));
+
+    dashboard.destroy();
+  });
+});
+
+describe('panels', () => {
+  test('read the store once per pass', () => {
+    AgentLogger.log('Claude', 'Reviewed PR', 'analysis', 'success', {}, { traceId: 'trace-1' });
+    const dashboard = new Dashboard('#first', { autoRefresh: false, showTraces: true, showNetwork: true });
+    const read = jest.spyOn(AgentLogger.storage, 'read');
+
+    dashboard.renderPanels();
+
+    expect(read.mock.calls.filter(([name]) => name === AgentLogger.STORE_NAME)).toHaveLength(1);
+    dashboard.destroy();
+  });
+});
+
+describe('integrity badge', () => {
+  const badge = () => document.querySelector('#first .codedao-integrity').dataset.state;
+  const tamper = () => {
+    const activities = AgentLogger.storage.read(AgentLogger.STORE_NAME);
+    activities[activities.length - 1].action = 'EVIL';
+    AgentLogger.storage.write(AgentLogger.STORE_NAME, activities);
+  };
+
+  let dashboard;
+
+  beforeEach(() => {
+    ['Planned release', 'Ran tests', 'Tagged v1.2.0'].forEach(action => AgentLogger.log('Claude', action));
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+  });
+
+  test('re-hashes the whole chain once the interval has passed', () => {
+    dashboard = new Dashboard('#first', { autoRefresh: false, integrityInterval: 0 });
+    expect(badge()).toBe('verified');
+
+    tamper();
+    dashboard.renderPanels();
+
+    expect(badge()).toBe('tampered');
+  });
+
+  test.each(['codedao:imported', 'codedao:compacted'])('re-hashes the whole chain on %s', name => {
+    dashboard = new Dashboard('#first', { autoRefresh: false });
+    AgentLogger.log('Claude', 'Deployed');
+    dashboard.renderPanels();
+    expect(badge()).toBe('verified');
+
+    tamper();
+    window.dispatchEvent(new CustomEvent(name, { detail: {} }));
+
+    expect(badge()).toBe('tampered');
+  });
+
+  test('counts only activities that were actually hashed', () => {
+    dashboard = new Dashboard('#first', { autoRefresh: false });
+    AgentLogger.log('Claude', 'Deployed');
+    dashboard.renderPanels();
+
+    expect(dashboard.integrity).toMatchObject({ checked: 1, trusted: 3 });
+  });
+});
+
+describe('collector', () => {
+  afterEach(() => {
+    delete globalThis.fetch;
+  });
+
+  test('merges into the page storage and leaves it in place on destroy', async () => {
+    const storage = AgentLogger.storage;
+    AgentLogger.log('Claude', 'Local activity');
+    globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => [] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const dashboard = new Dashboard('#first', { autoRefresh: false, collectorUrl: 'http://collector.test' });
+    await settle();
+
+    expect(AgentLogger.storage).toBe(storage);
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+
+    dashboard.destroy();
+    expect(AgentLogger.storage).toBe(storage);
+  });
+});
@@ -0,0 +1,45 @@
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { renderStaticHTML } from '../src/report.js';
+
+beforeEach(() => {
+  AgentLogger.useStorage(new MemoryAdapter());
+  AgentLogger.log('Claude', 'Reviewed PR', 'analysis', 'success', { commitHash: 'abc1234' });
+  AgentLogger.log('GPT-4', 'Wrote tests', 'validation', 'error');
+});
+
+describe('csv exporter', () => {
+  test('defuses values a spreadsheet would run as formulas', () => {
+    AgentLogger.log('Claude', '=HYPERLINK("http://evil.test","click")', 'info', 'success', {
+      note: '@SUM(A1:A2)',
+      delta: -3
+    });
+
+    const row = AgentLogger.exportActivities('csv').split('\r\n')[1];
+
+    expect(row).toContain(`"'=HYPERLINK(""http://evil.test"",""click"")"`);
+    expect(row).toContain(`'@SUM(A1:A2)`);
+    expect(row).toContain(',-3');
+  });
+});
+
+describe('html exporter', () => {
+  test('renders a report without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+
+    const report = AgentLogger.exportActivities('html', {}, { title: 'Weekly report' });
+
+    expect(report).toMatch(/^<!DOCTYPE html>/);
+    expect(report).toContain('<h3>Weekly report</h3>');
+    expect(report).toContain('Reviewed PR');
+    expect(report).toContain('codedao-activity-item');
+    expect(report).toContain('id="codedao-activities-data"');
+  });
+
+  test('embeds the static dashboard markup', () => {
+    // In the exporter's order: both activities may share a timestamp
+    const { activities } = AgentLogger.query({ limit: null });
+
+    expect(AgentLogger.exportActivities('html')).toContain(String(renderStaticHTML(activities)));
+  });
+});
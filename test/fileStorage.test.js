@@ -0,0 +1,59 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { AgentLogger } from '../src/agentLogger.js';
+import { FileAdapter } from '../src/fileStorage.js';
+
+const loggerModule = fileURLToPath(new URL('../src/agentLogger.js', import.meta.url));
+const adapterModule = fileURLToPath(new URL('../src/fileStorage.js', import.meta.url));
+
+/**
+ * Log from a separate Node process into the same directory
+ */
+const logFromProcess = (directory, agent, count) => new Promise((resolve, reject) => {
+  const script = `
+    const { AgentLogger } = await import(${JSON.stringify(loggerModule)});
+    const { FileAdapter } = await import(${JSON.stringify(adapterModule)});
+    AgentLogger.useStorage(new FileAdapter(${JSON.stringify(directory)}));
+    for (let i = 0; i < ${count}; i++) AgentLogger.log(${JSON.stringify(agent)}, 'Step ' + i);
+  `;
+  execFile(process.execPath, ['--input-type=module', '-e', script], error => (error ? reject(error) : resolve()));
+});
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'codedao-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('FileAdapter', () => {
+  test('concurrent processes keep every activity', async () => {
+    await Promise.all([logFromProcess(directory, 'Claude', 100), logFromProcess(directory, 'GPT-4', 100)]);
+
+    AgentLogger.useStorage(new FileAdapter(directory));
+    const activities = AgentLogger.getActivities();
+
+    expect(activities).toHaveLength(200);
+    expect(activities.filter(activity => activity.agent === 'Claude')).toHaveLength(100);
+    expect(AgentLogger.verifyIntegrity().valid).toBe(true);
+    expect(fs.readdirSync(directory).sort()).toEqual(['activities.jsonl']);
+  }, 60000);
+
+  test('breaks a lock left behind by a crashed writer', () => {
+    const lock = path.join(directory, '.lock');
+    fs.writeFileSync(lock, '');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lock, past, past);
+
+    AgentLogger.useStorage(new FileAdapter(directory));
+
+    expect(AgentLogger.log('Claude', 'After a crash')).toBeTruthy();
+    expect(fs.existsSync(lock)).toBe(false);
+  });
+});
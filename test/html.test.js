@@ -0,0 +1,166 @@
+/**
+ * @jest-environment jsdom
+ */
+import { AgentLogger } from '../src/agentLogger.js';
+import { Dashboard } from '../src/dashboard.js';
+import { html, raw, escapeHTML, safeUrl } from '../src/html.js';
+
+const IMG = '<img src=x onerror="window.pwned = true">';
+const BREAKOUT = '"><script>window.pwned = true</script>';
+const SCRIPT_URL = 'javascript:window.pwned=true';
+const DATA_URL = 'data:text/html,<script>window.pwned=true</script>';
+
+const hostileActivity = {
+  id: BREAKOUT,
+  timestamp: '2024-03-12T15:04:11.000Z',
+  agent: IMG,
+  action: BREAKOUT,
+  type: 'commit',
+  status: 'success',
+  traceId: IMG,
+  metadata: {
+    commitHash: BREAKOUT,
+    filePath: IMG,
+    url: SCRIPT_URL,
+    repository: 'CodeDAO-org/sdk',
+    pullRequest: BREAKOUT,
+    tags: [IMG],
+    errorMessage: BREAKOUT,
+    [IMG]: BREAKOUT,
+    nested: { note: IMG }
+  }
+};
+
+/**
+ * Parse markup and check that nothing executable came out of it
+ */
+function expectInert(markup) {
+  const container = document.createElement('div');
+  container.innerHTML = String(markup);
+
+  expect(container.querySelector('script, img, iframe, object, embed')).toBeNull();
+  container.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      expect(attribute.name.startsWith('on')).toBe(false);
+    });
+  });
+  container.querySelectorAll('[href], [src]').forEach(element => {
+    expect(element.getAttribute('href') || element.getAttribute('src')).toMatch(/^https?:/);
+  });
+
+  return container;
+}
+
+let dashboard;
+
+beforeAll(() => {
+  AgentLogger.disableSync();
+});
+
+beforeEach(() => {
+  AgentLogger.clear();
+  document.body.innerHTML = '<div id="app"></div>';
+  dashboard = new Dashboard('#app', { autoRefresh: false });
+});
+
+afterEach(() => {
+  dashboard.destroy();
+  expect(window.pwned).toBeUndefined();
+});
+
+describe('html', () => {
+  test('escapes interpolated values', () => {
+    expect(String(html`<p title="${BREAKOUT}">${IMG}</p>`)).toBe(
+      '<p title="&quot;&gt;&lt;script&gt;window.pwned = true&lt;/script&gt;">' +
+      '&lt;img src=x onerror=&quot;window.pwned = true&quot;&gt;</p>'
+    );
+  });
+
+  test('keeps nested templates and raw markup', () => {
+    expect(String(html`<ul>${['a', '<b>'].map(item => html`<li>${item}</li>`)}</ul>`)).toBe('<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    expect(String(html`${raw('<svg></svg>')}`)).toBe('<svg></svg>');
+  });
+
+  test('escapeHTML covers quotes and backticks', () => {
+    expect(escapeHTML(`'"\`<>&`)).toBe('&#39;&quot;&#96;&lt;&gt;&amp;');
+    expect(escapeHTML(null)).toBe('');
+  });
+});
+
+describe('safeUrl', () => {
+  test.each([
+    SCRIPT_URL,
+    ' JavaScript:alert(1)',
+    'java\tscript:alert(1)',
+    DATA_URL,
+    'vbscript:msgbox(1)',
+    '//evil.example/x',
+    '/relative/path',
+    42
+  ])('rejects %p', url => {
+    expect(safeUrl(url)).toBeNull();
+  });
+
+  test('accepts http and https URLs', () => {
+    expect(safeUrl('https://github.com/CodeDAO-org')).toBe('https://github.com/CodeDAO-org');
+    expect(safeUrl(' http://example.com/a?b=1 ')).toBe('http://example.com/a?b=1');
+  });
+});
+
+describe('Dashboard templates', () => {
+  test('createActivityHTML', () => {
+    const container = expectInert(dashboard.createActivityHTML(hostileActivity));
+
+    expect(container.querySelector('.codedao-activity-item').dataset.activityId).toBe(BREAKOUT);
+    expect(container.querySelector('.codedao-activity-action').textContent).toBe(BREAKOUT);
+    expect(container.querySelector('.codedao-agent-name').textContent).toBe(IMG);
+  });
+
+  test('renderMetadata drops javascript: and data: URLs', () => {
+    [SCRIPT_URL, DATA_URL].forEach(url => {
+      const container = expectInert(dashboard.renderMetadata({ ...hostileActivity.metadata, url }));
+      expect(container.querySelector('a')).toBeNull();
+      expect(container.textContent).toContain(IMG);
+    });
+
+    const safe = expectInert(dashboard.renderMetadata({ url: 'https://example.com/?q="><b>' }));
+    expect(safe.querySelector('a').getAttribute('href')).toBe('https://example.com/?q=%22%3E%3Cb%3E');
+  });
+
+  test('setFilterOptions', () => {
+    dashboard.setFilterOptions('agent', IMG, [[BREAKOUT, IMG], [IMG, BREAKOUT]]);
+
+    const select = document.querySelector('.codedao-filter-agent');
+    expectInert(select.innerHTML);
+    expect(Array.from(select.options).map(option => option.value)).toEqual(['', BREAKOUT, IMG]);
+    expect(Array.from(select.options).map(option => option.textContent)).toEqual([IMG, IMG, BREAKOUT]);
+  });
+
+  test('createDetailsHTML', () => {
+    const container = expectInert(dashboard.createDetailsHTML({
+      ...hostileActivity,
+      parentId: BREAKOUT,
+      metadata: { ...hostileActivity.metadata, relatedActivities: [BREAKOUT] }
+    }));
+
+    expect(container.querySelector('.codedao-drawer-action').textContent).toBe(BREAKOUT);
+    expect(container.querySelector('.codedao-drawer-error').textContent).toBe(BREAKOUT);
+    expect(container.textContent).toContain(`${IMG}`);
+  });
+
+  test('createDetailsHTML ignores hostile repositories', () => {
+    const container = expectInert(dashboard.createDetailsHTML({
+      ...hostileActivity,
+      metadata: { repository: SCRIPT_URL, commitHash: 'abc1234', url: DATA_URL }
+    }));
+
+    expect(container.querySelector('a')).toBeNull();
+  });
+
+  test('renderStaticHTML', () => {
+    const container = expectInert(Dashboard.renderStaticHTML([hostileActivity], { title: BREAKOUT }));
+
+    expect(container.querySelector('h3').textContent).toBe(BREAKOUT);
+    expect(container.querySelector('.codedao-activity-action').textContent).toBe(BREAKOUT);
+  });
+});
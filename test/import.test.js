@@ -0,0 +1,63 @@
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+
+const started = {
+  id: 'run-1',
+  timestamp: '2024-03-12T15:04:11.000Z',
+  agent: 'Claude',
+  action: 'Running test suite',
+  type: 'validation',
+  status: 'processing',
+  metadata: {}
+};
+
+const exportStore = () => JSON.stringify(AgentLogger.getActivities());
+
+beforeEach(() => {
+  AgentLogger.useStorage(new MemoryAdapter());
+  AgentLogger.record({ ...started });
+});
+
+describe('AgentLogger.updateActivity', () => {
+  test('stamps updatedAt and keeps the creation timestamp', () => {
+    const updated = AgentLogger.updateActivity('run-1', { status: 'success' });
+
+    expect(updated.timestamp).toBe(started.timestamp);
+    expect(new Date(updated.updatedAt).getTime()).toBeGreaterThan(new Date(started.timestamp).getTime());
+    expect(AgentLogger.validate(updated)).toBe(true);
+  });
+});
+
+describe('AgentLogger.importActivities merge', () => {
+  test('a stale export does not revert a later update', () => {
+    const stale = exportStore();
+    AgentLogger.updateActivity('run-1', { status: 'success' });
+
+    const report = AgentLogger.importActivities(stale, { strategy: 'merge' });
+
+    expect(report).toMatchObject({ success: true, duplicates: 1, updated: 0 });
+    expect(AgentLogger.getActivities()[0].status).toBe('success');
+  });
+
+  test('an export with a later update wins', () => {
+    AgentLogger.updateActivity('run-1', { status: 'success' });
+    const newer = JSON.parse(exportStore());
+    newer[0] = { ...newer[0], status: 'error', updatedAt: new Date(Date.now() + 60000).toISOString() };
+
+    const report = AgentLogger.importActivities(JSON.stringify(newer), { strategy: 'merge' });
+
+    expect(report.updated).toBe(1);
+    expect(AgentLogger.getActivities()[0].status).toBe('error');
+  });
+
+  test('duplicates within one file keep the copy updated last', () => {
+    const copies = [
+      { ...started, status: 'success', updatedAt: '2024-03-12T15:10:00.000Z' },
+      { ...started, status: 'processing' }
+    ];
+
+    AgentLogger.importActivities(copies, { strategy: 'replace' });
+
+    expect(AgentLogger.getActivities()[0].status).toBe('success');
+  });
+});
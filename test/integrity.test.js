@@ -0,0 +1,194 @@
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { linkChain, verifyChain, hashActivity } from '../src/integrity.js';
+
+const stored = () => AgentLogger.storage.read(AgentLogger.STORE_NAME);
+const tamper = edit => {
+  const activities = stored();
+  edit(activities);
+  AgentLogger.storage.write(AgentLogger.STORE_NAME, activities);
+};
+
+beforeEach(() => {
+  AgentLogger.useStorage(new MemoryAdapter());
+  ['Planned release', 'Ran tests', 'Tagged v1.2.0'].forEach(action => AgentLogger.log('Claude', action));
+});
+
+describe('linkChain', () => {
+  test('seals activities that were never chained', () => {
+    const activities = [
+      { id: 'b', action: 'second' },
+      { id: 'a', action: 'first' }
+    ];
+
+    linkChain(activities);
+
+    expect(activities[1].prevHash).toBeNull();
+    expect(activities[0].prevHash).toBe(activities[1].hash);
+    expect(verifyChain(activities).valid).toBe(true);
+  });
+
+  test('leaves an activity with a prevHash but no hash unsealed', () => {
+    const activities = linkChain([{ id: 'b', action: 'second' }, { id: 'a', action: 'first' }]);
+    activities[0].action = 'EVIL';
+    delete activities[0].hash;
+
+    linkChain(activities);
+
+    expect(activities[0].hash).toBeUndefined();
+    expect(verifyChain(activities).brokenAt).toMatchObject({ index: 0, reason: 'unsealed' });
+  });
+
+  test('relinks sealed activities onto a retired hash', () => {
+    const activities = linkChain([{ id: 'b', action: 'second' }, { id: 'a', action: 'first' }]);
+    const retired = activities[1].hash;
+    activities[1] = { ...activities[1], action: 'first, edited' };
+    activities[1].hash = hashActivity(activities[1]);
+
+    linkChain(activities, [retired]);
+
+    expect(verifyChain(activities).valid).toBe(true);
+  });
+});
+
+describe('linking imported history', () => {
+  const at = (id, minute) => ({
+    id,
+    timestamp: `2024-03-12T15:${String(minute).padStart(2, '0')}:00.000Z`,
+    agent: 'Claude',
+    action: `Step ${id}`,
+    type: 'info',
+    status: 'success'
+  });
+
+  const chainOf = records => {
+    AgentLogger.useStorage(new MemoryAdapter());
+    AgentLogger.importActivities(records);
+    return AgentLogger.getActivities();
+  };
+
+  test('backfilling older history under an existing chain', () => {
+    const backfill = [at('old-1', 1), at('old-2', 2)];
+
+    const report = AgentLogger.importActivities(backfill, { strategy: 'append' });
+
+    expect(report.added).toBe(2);
+    expect(AgentLogger.verifyIntegrity()).toMatchObject({ valid: true, checked: 5 });
+  });
+
+  test('merging an export whose timestamps interleave the local ones', () => {
+    const remote = chainOf([at('r-1', 2), at('r-2', 4), at('r-3', 6)]);
+    chainOf([at('l-1', 1), at('l-2', 3), at('l-3', 5)]);
+
+    const report = AgentLogger.importActivities(JSON.stringify(remote), { strategy: 'merge' });
+
+    expect(report.integrity.valid).toBe(true);
+    expect(AgentLogger.getActivities().map(activity => activity.id)).toEqual(['r-3', 'l-3', 'r-2', 'l-2', 'r-1', 'l-1']);
+    expect(AgentLogger.verifyIntegrity()).toMatchObject({ valid: true, checked: 6 });
+  });
+});
+
+describe('verifyChain with a trusted result', () => {
+  test('only checks activities linked on top of the trusted head', () => {
+    const trusted = AgentLogger.verifyIntegrity();
+    tamper(activities => {
+      activities[2].action = 'EVIL';
+    });
+    AgentLogger.log('Claude', 'Deployed');
+
+    expect(AgentLogger.verifyIntegrity(trusted)).toMatchObject({ valid: true, checked: 1, trusted: 3, head: stored()[0].hash });
+    expect(AgentLogger.verifyIntegrity().brokenAt).toMatchObject({ index: 3, reason: 'modified' });
+  });
+
+  test('catches tampering with new activities', () => {
+    const trusted = AgentLogger.verifyIntegrity();
+    AgentLogger.log('Claude', 'Deployed');
+    tamper(activities => {
+      activities[0].action = 'EVIL';
+    });
+
+    expect(AgentLogger.verifyIntegrity(trusted).brokenAt).toMatchObject({ index: 0, reason: 'modified' });
+  });
+
+  test('checks the whole chain when the head is gone or history was added below it', () => {
+    const trusted = AgentLogger.verifyIntegrity();
+    const { id } = stored()[2];
+    tamper(activities => {
+      activities[2].action = 'EVIL';
+    });
+
+    AgentLogger.updateActivity(stored()[0].id, { status: 'error' });
+    expect(AgentLogger.verifyIntegrity(trusted).brokenAt).toMatchObject({ id, reason: 'modified' });
+
+    const again = verifyChain(stored().slice(0, 2));
+    expect(verifyChain(stored(), again).valid).toBe(false);
+  });
+
+  test('ignores an invalid previous result', () => {
+    tamper(activities => {
+      activities[2].action = 'EVIL';
+    });
+
+    const broken = AgentLogger.verifyIntegrity();
+    expect(AgentLogger.verifyIntegrity(broken)).toEqual(broken);
+  });
+});
+
+describe('AgentLogger integrity', () => {
+  test('logging does not reseal a tampered newest activity', () => {
+    tamper(activities => {
+      activities[0].action = 'EVIL';
+      delete activities[0].hash;
+    });
+
+    AgentLogger.log('Claude', 'Deployed');
+
+    const result = AgentLogger.verifyIntegrity();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toMatchObject({ index: 1, reason: 'unsealed' });
+    expect(stored()[1].action).toBe('EVIL');
+  });
+
+  test('logging does not reseal a tampered activity further down', () => {
+    tamper(activities => {
+      activities[1].action = 'EVIL';
+      delete activities[1].hash;
+    });
+
+    AgentLogger.log('Claude', 'Deployed');
+
+    expect(AgentLogger.verifyIntegrity().brokenAt).toMatchObject({ index: 2, reason: 'unsealed' });
+  });
+
+  test('updating a tampered activity keeps it broken', () => {
+    const { id } = stored()[1];
+    tamper(activities => {
+      activities[1].action = 'EVIL';
+      delete activities[1].hash;
+    });
+
+    expect(AgentLogger.updateActivity(id, { status: 'error' })).toBeTruthy();
+    expect(AgentLogger.verifyIntegrity().brokenAt).toMatchObject({ index: 1, reason: 'unsealed' });
+  });
+
+  test('updates through the SDK keep the chain valid', () => {
+    const [newest, middle] = stored();
+
+    AgentLogger.updateActivity(middle.id, { status: 'error' });
+    AgentLogger.updateActivity(newest.id, { action: 'Tagged v1.2.1' });
+    AgentLogger.log('Claude', 'Deployed');
+
+    expect(AgentLogger.verifyIntegrity()).toMatchObject({ valid: true, checked: 4 });
+  });
+
+  test('activities stored before the chain existed are sealed on the next write', () => {
+    tamper(activities => activities.forEach(activity => {
+      delete activity.hash;
+      delete activity.prevHash;
+    }));
+
+    AgentLogger.log('Claude', 'Deployed');
+
+    expect(AgentLogger.verifyIntegrity()).toMatchObject({ valid: true, checked: 4 });
+  });
+});
@@ -0,0 +1,121 @@
+import { runQuery } from '../src/query.js';
+
+const activity = (id, timestamp, action = 'Ran checks', extra = {}) => ({
+  id,
+  timestamp,
+  agent: 'Claude',
+  action,
+  type: 'validation',
+  status: 'success',
+  ...extra
+});
+
+/**
+ * Follow nextCursor until the last page, collecting ids page by page
+ */
+const pageThrough = (activities, options) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const result = runQuery(activities, { ...options, cursor });
+    pages.push(result.activities.map(item => item.id));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+const SAME_TIME = '2024-03-12T15:04:11.000Z';
+
+describe('runQuery pagination', () => {
+  const activities = [
+    activity('a', '2024-03-12T15:00:00.000Z'),
+    activity('b', '2024-03-12T15:01:00.000Z'),
+    activity('c', '2024-03-12T15:02:00.000Z'),
+    activity('d', '2024-03-12T15:03:00.000Z'),
+    activity('e', '2024-03-12T15:04:00.000Z')
+  ];
+
+  test('pages newest first by default', () => {
+    expect(pageThrough(activities, { limit: 2 })).toEqual([['e', 'd'], ['c', 'b'], ['a']]);
+  });
+
+  test('pages oldest first in ascending order', () => {
+    expect(pageThrough(activities, { limit: 2, order: 'asc' })).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  test('reports the total and no cursor after the last page', () => {
+    const result = runQuery(activities, { limit: 5 });
+
+    expect(result.total).toBe(5);
+    expect(result.nextCursor).toBeNull();
+  });
+
+  test('a cursor past the last activity returns an empty page', () => {
+    const cursor = `${Date.parse('2025-01-01T00:00:00.000Z')}|z`;
+
+    expect(runQuery(activities, { limit: 2, order: 'asc', cursor })).toEqual({ activities: [], total: 5, nextCursor: null });
+  });
+});
+
+describe('runQuery tie-break on equal timestamps', () => {
+  const activities = ['p', 'r', 'q', 's', 't|u'].map(id => activity(id, SAME_TIME));
+
+  test.each([
+    ['desc', [['t|u', 's'], ['r', 'q'], ['p']]],
+    ['asc', [['p', 'q'], ['r', 's'], ['t|u']]]
+  ])('pages through identical timestamps in %s order without gaps or repeats', (order, pages) => {
+    expect(pageThrough(activities, { limit: 2, order })).toEqual(pages);
+  });
+
+  test('orders by id regardless of storage order', () => {
+    const reversed = activities.slice().reverse();
+
+    expect(runQuery(reversed).activities.map(item => item.id))
+      .toEqual(runQuery(activities).activities.map(item => item.id));
+  });
+});
+
+describe('runQuery since/until', () => {
+  const activities = [
+    activity('before', '2024-03-12T14:59:59.999Z'),
+    activity('start', '2024-03-12T15:00:00.000Z'),
+    activity('middle', '2024-03-12T15:30:00.000Z'),
+    activity('end', '2024-03-12T16:00:00.000Z'),
+    activity('after', '2024-03-12T16:00:00.001Z')
+  ];
+  const ids = options => runQuery(activities, { order: 'asc', ...options }).activities.map(item => item.id);
+
+  test('includes activities exactly on either bound', () => {
+    expect(ids({ since: '2024-03-12T15:00:00.000Z', until: '2024-03-12T16:00:00.000Z' }))
+      .toEqual(['start', 'middle', 'end']);
+  });
+
+  test('accepts Date objects and epoch milliseconds', () => {
+    expect(ids({ since: new Date('2024-03-12T15:30:00.000Z') })).toEqual(['middle', 'end', 'after']);
+    expect(ids({ until: Date.parse('2024-03-12T15:00:00.000Z') })).toEqual(['before', 'start']);
+  });
+});
+
+describe('runQuery search', () => {
+  const activities = [
+    activity(1, '2024-03-12T15:00:00.000Z', 'Reviewed pull request #42'),
+    activity(2, '2024-03-12T15:01:00.000Z', 'Opened pull request #43'),
+    activity(3, '2024-03-12T15:02:00.000Z', 'Reviewed the deploy script')
+  ];
+  const ids = search => runQuery(activities, { search, order: 'asc' }).activities.map(item => item.id);
+
+  test('requires every term, in any order and case', () => {
+    expect(ids('REQUEST reviewed')).toEqual([1]);
+    expect(ids('  pull   request ')).toEqual([1, 2]);
+  });
+
+  test('matches nothing when any term is missing', () => {
+    expect(ids('reviewed merged')).toEqual([]);
+  });
+
+  test('combines with other criteria', () => {
+    const result = runQuery(activities, { search: 'reviewed', until: '2024-03-12T15:01:00.000Z' });
+
+    expect(result.activities.map(item => item.id)).toEqual([1]);
+  });
+});
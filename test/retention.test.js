@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { rollupActivities } from '../src/retention.js';
+
+/**
+ * MemoryAdapter that runs out of space above a number of stored activities
+ */
+class QuotaAdapter extends MemoryAdapter {
+  constructor(limit) {
+    super();
+    this.limit = limit;
+    this.failRollups = false;
+  }
+
+  write(name, records) {
+    const full = name === AgentLogger.ROLLUP_STORE ? this.failRollups : records.length > this.limit;
+    if (full) {
+      const error = new Error('Quota exceeded');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+    super.write(name, records);
+  }
+}
+
+const logAll = count => {
+  for (let i = 0; i < count; i++) AgentLogger.log('Claude', `Step ${i}`, 'analysis');
+};
+
+const totalRolledUp = () => AgentLogger.getRollups().reduce((sum, rollup) => sum + rollup.total, 0);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  AgentLogger.setRetentionPolicy({ maxActivities: null });
+});
+
+describe('rollupActivities', () => {
+  test('leaves the existing rollups unchanged', () => {
+    const activity = { timestamp: '2024-03-12T15:04:11.000Z', agent: 'Claude', type: 'info', status: 'success' };
+    const rollups = rollupActivities([], [activity]);
+    const snapshot = JSON.parse(JSON.stringify(rollups));
+
+    expect(rollupActivities(rollups, [activity])[0]).toMatchObject({ total: 2, byAgent: { Claude: 2 } });
+    expect(rollups).toEqual(snapshot);
+  });
+});
+
+describe('AgentLogger.saveActivities', () => {
+  test('rolls up every activity compacted to fit the quota', () => {
+    AgentLogger.useStorage(new QuotaAdapter(4));
+    logAll(8);
+
+    const stats = AgentLogger.getStatistics();
+    expect(AgentLogger.getActivities().length).toBeLessThanOrEqual(4);
+    expect(stats.total).toBe(8);
+    expect(AgentLogger.getActivities().length + totalRolledUp()).toBe(8);
+  });
+
+  test('counts retention evictions once when the quota forces a retry', () => {
+    const storage = new QuotaAdapter(Infinity);
+    AgentLogger.useStorage(storage);
+    logAll(4);
+    AgentLogger.setRetentionPolicy({ maxActivities: 3 });
+    storage.limit = 2;
+    logAll(1);
+
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+    expect(totalRolledUp()).toBe(4);
+  });
+
+  test('keeps the stored activities when the rollups cannot be written', () => {
+    const storage = new QuotaAdapter(2);
+    AgentLogger.useStorage(storage);
+    logAll(2);
+    storage.failRollups = true;
+
+    expect(AgentLogger.log('Claude', 'One too many')).toBe(false);
+    expect(AgentLogger.getActivities()).toHaveLength(2);
+    expect(AgentLogger.getRollups()).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import { AgentLogger } from '../src/agentLogger.js';
+import { IndexedDBAdapter } from '../src/storage.js';
+
+const later = callback => setTimeout(callback, 0);
+
+/**
+ * Just enough of IndexedDB for IndexedDBAdapter, refusing to store more
+ * than `limit` activities
+ */
+class FakeIndexedDB {
+  constructor() {
+    this.data = new Map();
+    this.limit = Infinity;
+    this.failure = null;
+  }
+
+  open() {
+    const request = {};
+    later(() => {
+      request.result = { transaction: () => this.transaction() };
+      request.onsuccess();
+    });
+    return request;
+  }
+
+  transaction() {
+    const tx = {};
+    let error = null;
+    const finish = () => later(() => {
+      tx.error = error;
+      if (error) {
+        tx.onabort();
+      } else {
+        tx.oncomplete();
+      }
+    });
+
+    tx.objectStore = () => ({
+      put: (value, key) => {
+        if (this.failure) {
+          error = this.failure;
+        } else if (key === AgentLogger.STORE_NAME && value.length > this.limit) {
+          error = Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+        } else {
+          this.data.set(key, value);
+        }
+        finish();
+      },
+      delete: key => {
+        this.data.delete(key);
+        finish();
+      },
+      openCursor: () => {
+        const request = {};
+        const entries = Array.from(this.data);
+        const step = index => later(() => {
+          request.result = index < entries.length
+            ? { key: entries[index][0], value: entries[index][1], continue: () => step(index + 1) }
+            : null;
+          request.onsuccess();
+          if (!request.result) finish();
+        });
+        step(0);
+        return request;
+      }
+    });
+
+    return tx;
+  }
+}
+
+const logAll = count => {
+  for (let i = 0; i < count; i++) AgentLogger.log('Claude', `Step ${i}`, 'analysis');
+};
+
+let database;
+let adapter;
+
+beforeEach(async () => {
+  database = new FakeIndexedDB();
+  globalThis.indexedDB = database;
+  adapter = new IndexedDBAdapter();
+  await AgentLogger.useStorage(adapter);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete globalThis.indexedDB;
+  jest.restoreAllMocks();
+});
+
+describe('IndexedDBAdapter.flush', () => {
+  test('rejects with a failed write once, then resolves', async () => {
+    database.limit = 1;
+    logAll(2);
+
+    await expect(adapter.flush()).rejects.toMatchObject({ name: 'QuotaExceededError' });
+    await expect(adapter.flush()).resolves.toBeUndefined();
+  });
+});
+
+describe('AgentLogger.flush', () => {
+  test('rolls up activities until the store fits', async () => {
+    database.limit = 4;
+    logAll(8);
+
+    expect(await AgentLogger.flush()).toBe(true);
+
+    expect(database.data.get(AgentLogger.STORE_NAME).length).toBeLessThanOrEqual(4);
+    expect(AgentLogger.getStatistics().total).toBe(8);
+  });
+
+  test('reports other write failures', async () => {
+    database.failure = Object.assign(new Error('Disk broke'), { name: 'UnknownError' });
+    logAll(1);
+
+    expect(await AgentLogger.flush()).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('CodeDAO SDK: Failed to persist activities:', database.failure);
+  });
+});
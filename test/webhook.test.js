@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { AgentLogger } from '../src/agentLogger.js';
+import { MemoryAdapter } from '../src/storage.js';
+import { GitHubWebhookAdapter, verifySignature } from '../src/webhook.js';
+
+const SECRET = 'test-secret';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const sign = (body, secret = SECRET) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const createAdapter = (options = {}) => new GitHubWebhookAdapter({
+  secret: SECRET,
+  agentLogins: { 'claude-agent': 'Claude' },
+  ...options
+});
+
+const deliver = (adapter, event, body, id) => adapter.handle({ event, signature: sign(body), body, id });
+
+beforeEach(() => AgentLogger.useStorage(new MemoryAdapter()));
+
+describe('verifySignature', () => {
+  const body = fixture('github-push.json');
+
+  test('accepts a valid signature', () => {
+    expect(verifySignature(SECRET, body, sign(body))).toBe(true);
+    expect(verifySignature(SECRET, Buffer.from(body), sign(body))).toBe(true);
+  });
+
+  test('rejects an invalid signature', () => {
+    expect(verifySignature(SECRET, body, sign(body, 'other-secret'))).toBe(false);
+    expect(verifySignature(SECRET, body + ' ', sign(body))).toBe(false);
+    expect(verifySignature(SECRET, body, 'sha256=deadbeef')).toBe(false);
+  });
+
+  test('rejects a missing signature or secret', () => {
+    expect(verifySignature(SECRET, body, undefined)).toBe(false);
+    expect(verifySignature(SECRET, body, sign(body).replace('sha256=', 'sha1='))).toBe(false);
+    expect(verifySignature(null, body, sign(body))).toBe(false);
+  });
+});
+
+describe('GitHubWebhookAdapter.handle', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('records signed deliveries', () => {
+    const result = deliver(createAdapter(), 'push', fixture('github-push.json'));
+
+    expect(result).toMatchObject({ ok: true, status: 202 });
+    expect(result.activities).toHaveLength(2);
+    expect(AgentLogger.getActivities()).toHaveLength(2);
+  });
+
+  test('rejects invalid and missing signatures', () => {
+    const adapter = createAdapter();
+    const body = fixture('github-push.json');
+
+    expect(adapter.handle({ event: 'push', signature: sign(body, 'other-secret'), body }).status).toBe(401);
+    expect(adapter.handle({ event: 'push', signature: undefined, body }).status).toBe(401);
+    expect(AgentLogger.getActivities()).toHaveLength(0);
+  });
+
+  test('rejects every delivery when no secret is configured', () => {
+    const adapter = new GitHubWebhookAdapter({});
+    const body = fixture('github-push.json');
+
+    expect(adapter.handle({ event: 'push', signature: undefined, body })).toMatchObject({ ok: false, status: 401 });
+    expect(adapter.handle({ event: 'push', signature: sign(body), body })).toMatchObject({ ok: false, status: 401 });
+    expect(AgentLogger.getActivities()).toHaveLength(0);
+  });
+
+  test.each([
+    ['issues', '{}'],
+    ['pull_request', '{"action":"opened"}'],
+    ['pull_request', 'null'],
+    ['check_run', '{"check_run":{"id":1,"name":"test","status":42}}'],
+    ['workflow_run', '[]'],
+    ['push', '{"commits":"nope"}'],
+    ['issues', 'not json']
+  ])('answers a malformed %s delivery with 400', (event, body) => {
+    const result = deliver(createAdapter(), event, body);
+
+    expect(result).toMatchObject({ ok: false, status: 400 });
+    expect(AgentLogger.getActivities()).toHaveLength(0);
+  });
+
+  test('ignores redeliveries and updates runs in place', () => {
+    const adapter = createAdapter();
+    const body = fixture('webhooks/check_run.json');
+    const inProgress = JSON.parse(body);
+    inProgress.check_run.status = 'in_progress';
+    inProgress.check_run.conclusion = null;
+
+    deliver(adapter, 'check_run', JSON.stringify(inProgress));
+    expect(AgentLogger.getActivities()[0].status).toBe('processing');
+
+    deliver(adapter, 'check_run', body);
+    expect(AgentLogger.getActivities()).toHaveLength(1);
+    expect(AgentLogger.getActivities()[0].status).toBe('error');
+
+    deliver(adapter, 'push', fixture('github-push.json'));
+    expect(deliver(adapter, 'push', fixture('github-push.json')).activities).toHaveLength(0);
+  });
+
+  test('records each synchronize of a pull request', () => {
+    const adapter = createAdapter();
+    const payload = JSON.parse(fixture('webhooks/pull_request.json'));
+    payload.action = 'synchronize';
+    const body = JSON.stringify(payload);
+
+    expect(deliver(adapter, 'pull_request', body, 'delivery-1').activities).toHaveLength(1);
+    expect(deliver(adapter, 'pull_request', body, 'delivery-2').activities).toHaveLength(1);
+    expect(deliver(adapter, 'pull_request', body, 'delivery-2').activities).toHaveLength(0);
+    expect(AgentLogger.getActivities()).toHaveLength(2);
+  });
+
+  test('without a delivery id, tells repeated actions apart by updated_at', () => {
+    const adapter = createAdapter();
+    const payload = JSON.parse(fixture('webhooks/issues.json'));
+    const actions = [['closed', '2024-03-14T11:00:00Z'], ['reopened', '2024-03-14T12:00:00Z'], ['closed', '2024-03-14T13:00:00Z']];
+
+    actions.forEach(([action, updatedAt]) => {
+      deliver(adapter, 'issues', JSON.stringify({ ...payload, action, issue: { ...payload.issue, updated_at: updatedAt } }));
+    });
+
+    expect(AgentLogger.getActivities().map(activity => activity.action.split(' ')[0]))
+      .toEqual(['Closed', 'Reopened', 'Closed']);
+  });
+});
+
+describe('GitHubWebhookAdapter.map', () => {
+  const adapter = createAdapter();
+  const map = (event, name) => adapter.map(event, JSON.parse(fixture(name)));
+
+  test('push', () => {
+    const activities = map('push', 'github-push.json');
+
+    expect(activities).toHaveLength(3);
+    expect(activities[0]).toMatchObject({
+      id: 'commit-a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+      agent: 'Claude',
+      type: 'optimization',
+      metadata: { branch: 'main', repository: 'CodeDAO-org/codedao-dashboard-sdk', commitHash: 'a1b2c3d' }
+    });
+    expect(activities[1]).toMatchObject({ agent: 'Copilot', type: 'security' });
+  });
+
+  test('pull_request', () => {
+    expect(map('pull_request', 'webhooks/pull_request.json')).toEqual([{
+      id: 'pull_request-1781234567-closed-2024-03-12T16:45:09Z',
+      timestamp: '2024-03-12T16:45:09.000Z',
+      agent: 'Claude',
+      action: 'Merged pull request #42: Add retention policies',
+      type: 'collaboration',
+      status: 'success',
+      metadata: {
+        repository: 'CodeDAO-org/codedao-dashboard-sdk',
+        pullRequest: 42,
+        url: 'https://github.com/CodeDAO-org/codedao-dashboard-sdk/pull/42',
+        branch: 'retention'
+      }
+    }]);
+  });
+
+  test('issues', () => {
+    expect(map('issues', 'webhooks/issues.json')[0]).toMatchObject({
+      id: 'issue-2198765432-opened-2024-03-14T10:11:12Z',
+      agent: 'Claude',
+      action: 'Opened issue #57: Stats panel crashes after compaction',
+      type: 'detection',
+      status: 'info',
+      metadata: { issue: 57 }
+    });
+  });
+
+  test('check_run', () => {
+    expect(map('check_run', 'webhooks/check_run.json')[0]).toMatchObject({
+      id: 'check_run-22334455667',
+      agent: 'Claude',
+      action: 'Check "test (20.x)" failure',
+      type: 'validation',
+      status: 'error',
+      metadata: { branch: 'main', commitHash: 'a1b2c3d', duration: 150000 }
+    });
+  });
+
+  test('workflow_run', () => {
+    expect(map('workflow_run', 'webhooks/workflow_run.json')[0]).toMatchObject({
+      id: 'workflow_run-8123456789',
+      agent: 'Claude',
+      action: 'Workflow "Deploy docs" success',
+      type: 'deployment',
+      status: 'success',
+      metadata: { branch: 'main', commitHash: 'c3a5e7f', duration: 180000 }
+    });
+  });
+
+  test('mapped activities are schema-valid', () => {
+    ['webhooks/pull_request.json', 'webhooks/issues.json', 'webhooks/check_run.json', 'webhooks/workflow_run.json']
+      .forEach(name => {
+        const event = name.replace(/^webhooks\/|\.json$/g, '');
+        map(event, name).forEach(activity => expect(AgentLogger.validate(activity)).toBe(true));
+      });
+  });
+
+  test('unknown events map to nothing', () => {
+    expect(adapter.map('star', { action: 'created' })).toEqual([]);
+  });
+});